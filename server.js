@@ -2,30 +2,308 @@ const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
 const crypto = require('crypto');
-const { MailerSend, EmailParams, Sender, Recipient } = require('mailersend');
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { MailerSend, EmailParams, Sender, Recipient, Attachment } = require('mailersend');
+const nodemailer = require('nodemailer');
+const geoip = require('geoip-lite');
 require('dotenv').config();
 
 const app = express();
 
+// --- Structured logging ---
+// One JSON object per line: { time, level, msg, requestId?, ...fields }. Emails and names are
+// masked unless LOG_PII=true; LOG_FORMAT=text prints plain lines for local development.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+const LOG_PII = process.env.LOG_PII === 'true';
+const PII_FIELDS = new Set(['email', 'fullName', 'name', 'toName', 'customer']);
+const EMAIL_IN_TEXT = /[^\s@<>()"',;:]+@[^\s@<>()"',;:]+\.[A-Za-z]{2,}/g;
+
+// Each HTTP request (and every job it queues) runs with { requestId } in this store
+const requestContext = new AsyncLocalStorage();
+
+const maskEmail = (email) => String(email).replace(/^(.)[^@]*@(.)[^.]*(\..*)?$/, '$1***@$2***$3');
+
+function redact(value, key, depth = 0) {
+  if (LOG_PII || value === null || value === undefined) return value;
+  if (key && PII_FIELDS.has(key)) {
+    return typeof value === 'string' && value.includes('@') ? maskEmail(value) : '[redacted]';
+  }
+  if (typeof value === 'string') return value.replace(EMAIL_IN_TEXT, maskEmail);
+  if (typeof value !== 'object') return value;
+  if (depth > 4) return '[object]';
+  if (value instanceof Error) {
+    return {
+      error: value.message ? redact(value.message) : value.name,
+      status: value.response?.status,
+      code: value.code,
+      ...(LOG_LEVEL === 'debug' && { stack: value.stack })
+    };
+  }
+  if (Array.isArray(value)) return value.map(item => redact(item, null, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, redact(item, field, depth + 1)]));
+}
+
+function writeLog(level, msg, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+  const requestId = requestContext.getStore()?.requestId;
+  const entry = { time: new Date().toISOString(), level, msg: redact(String(msg)), requestId, ...redact(fields) };
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+
+  if (LOG_FORMAT === 'text') {
+    const { time, msg: text, requestId: id, level: _level, ...rest } = entry;
+    const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : '';
+    stream.write(`${time} ${level.toUpperCase()}${id ? ` [${id}]` : ''} ${text}${extra}\n`);
+  } else {
+    stream.write(JSON.stringify(entry) + '\n');
+  }
+}
+
+const logger = {
+  debug: (msg, fields) => writeLog('debug', msg, fields),
+  info: (msg, fields) => writeLog('info', msg, fields),
+  warn: (msg, fields) => writeLog('warn', msg, fields),
+  error: (msg, fields) => writeLog('error', msg, fields)
+};
+
+// --- Metrics (Prometheus text format, served at GET /metrics) ---
+const metricRegistry = [];
+
+const metricLabels = (labels = {}) => Object.entries(labels)
+  .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+  .join(',');
+
+function counter(name, help) {
+  const metric = {
+    name, help, type: 'counter', series: new Map(),
+    inc(labels, value = 1) {
+      const key = metricLabels(labels);
+      metric.series.set(key, (metric.series.get(key) || 0) + value);
+    }
+  };
+  metricRegistry.push(metric);
+  return metric;
+}
+
+function histogram(name, help, buckets) {
+  const metric = {
+    name, help, type: 'histogram', buckets, series: new Map(),
+    observe(labels, value) {
+      const key = metricLabels(labels);
+      const data = metric.series.get(key) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bucket, index) => { if (value <= bucket) data.counts[index]++; });
+      data.sum += value;
+      data.count++;
+      metric.series.set(key, data);
+    }
+  };
+  metricRegistry.push(metric);
+  return metric;
+}
+
+function renderMetrics() {
+  const lines = [];
+  const withLabels = (...parts) => {
+    const labels = parts.filter(Boolean).join(',');
+    return labels ? `{${labels}}` : '';
+  };
+
+  for (const metric of metricRegistry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    for (const [labels, data] of metric.series) {
+      if (metric.type === 'counter') {
+        lines.push(`${metric.name}${withLabels(labels)} ${data}`);
+        continue;
+      }
+      metric.buckets.forEach((bucket, index) => {
+        lines.push(`${metric.name}_bucket${withLabels(labels, `le="${bucket}"`)} ${data.counts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${withLabels(labels, 'le="+Inf"')} ${data.count}`);
+      lines.push(`${metric.name}_sum${withLabels(labels)} ${data.sum}`);
+      lines.push(`${metric.name}_count${withLabels(labels)} ${data.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+const metrics = {
+  paymentsInitialized: counter('payments_initialized_total', 'Checkouts initialized with a payment provider'),
+  paymentsVerified: counter('payments_verified_total', 'Payments verified against the catalog price'),
+  paymentsFulfilled: counter('payments_fulfilled_total', 'Paid orders whose download email was delivered'),
+  paymentsFailed: counter('payments_failed_total', 'Payments that failed, were rejected or could not be fulfilled'),
+  emailsSent: counter('emails_sent_total', 'Email delivery attempts by transport and outcome'),
+  telegramMessages: counter('telegram_messages_total', 'Telegram messages by outcome'),
+  webhookSignatureFailures: counter('webhook_signature_failures_total', 'Webhook deliveries rejected for a bad signature or secret'),
+  webhookDeliveries: counter('outbound_webhook_deliveries_total', 'Outbound webhook delivery attempts by subscriber and outcome'),
+  providerRequestSeconds: histogram(
+    'payment_provider_request_duration_seconds',
+    'Latency of calls to payment provider APIs',
+    [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+  )
+};
+
+// Browser origins allowed to call the API (comma-separated, e.g. "https://learnlist.info")
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
 // Middleware
-app.use(cors()); // Open to all domains for testing
-app.use(express.json());
+// Every request gets an id (or keeps the caller's X-Request-Id) that is stamped on its log lines
+app.use((req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const requestId = /^[\w.-]{1,100}$/.test(incoming || '') ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+  res.setHeader('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    if (req.path === '/metrics' || req.path === '/api/health') return;
+    logger.info('request', {
+      method: req.method,
+      // The route pattern, so tokens and references in the URL stay out of the logs
+      route: req.route ? `${req.baseUrl}${req.route.path}` : req.path,
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - started) / 1e6
+    });
+  });
+  requestContext.run({ requestId }, next);
+});
+// Requests without an Origin header (webhooks, curl, same-origin) are unaffected by CORS
+app.use(cors({ origin: (origin, callback) => callback(null, !origin || CORS_ORIGINS.includes(origin)) }));
+// Keep the exact request bytes so webhook signatures can be checked against them
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 
 // Environment variables needed
 const PORT = process.env.PORT || 3000;
-const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
-const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
+// Sandbox: Paystack, Telegram and email go to local stand-ins (see "Sandbox stand-ins"), and the
+// secrets they need get dummy defaults so a bare checkout works with no configuration
+const SANDBOX_MODE = process.env.SANDBOX_MODE === 'true';
+const PAYSTACK_API = SANDBOX_MODE ? `http://127.0.0.1:${PORT}/sandbox/paystack` : 'https://api.paystack.co';
+const TELEGRAM_API = SANDBOX_MODE ? `http://127.0.0.1:${PORT}/sandbox/telegram` : 'https://api.telegram.org';
+const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY || (SANDBOX_MODE ? 'sk_test_sandbox' : undefined);
+// There is no Flutterwave stand-in, so sandbox checkouts all go through the Paystack one
+const FLUTTERWAVE_SECRET_KEY = SANDBOX_MODE ? undefined : process.env.FLUTTERWAVE_SECRET_KEY;
+const FLUTTERWAVE_WEBHOOK_HASH = process.env.FLUTTERWAVE_WEBHOOK_HASH; // "Secret hash" from the Flutterwave dashboard
+// Which gateway takes a checkout: a product's "provider" wins, then the currency map
+// (e.g. "GHS:flutterwave,KES:flutterwave"), then the default
+const DEFAULT_PAYMENT_PROVIDER = process.env.DEFAULT_PAYMENT_PROVIDER || 'paystack';
+const PAYMENT_PROVIDER_BY_CURRENCY = Object.fromEntries((process.env.PAYMENT_PROVIDER_BY_CURRENCY || '')
+  .split(',')
+  .map(pair => pair.split(':').map(part => part.trim()))
+  .filter(([currency, provider]) => currency && provider)
+  .map(([currency, provider]) => [currency.toUpperCase(), provider.toLowerCase()]));
+const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || (SANDBOX_MODE ? 'sandbox' : undefined);
+const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID || (SANDBOX_MODE ? 'sandbox' : undefined);
+// Chats allowed to send bot commands (defaults to the notification chat)
+const TELEGRAM_ALLOWED_CHAT_IDS = (process.env.TELEGRAM_ALLOWED_CHAT_IDS || TELEGRAM_CHAT_ID || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET; // Passed to setWebhook as secret_token
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY; // Required for every /api/admin route
+const METRICS_TOKEN = process.env.METRICS_TOKEN || ADMIN_API_KEY; // Bearer token for GET /metrics
+
+// Proxies allowed to set X-Forwarded-For (comma-separated IPs/CIDRs, or names like "loopback").
+// Without this, req.ip is the address of whoever connected directly.
+const TRUSTED_PROXIES = (process.env.TRUSTED_PROXIES || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean);
+app.set('trust proxy', TRUSTED_PROXIES.length ? TRUSTED_PROXIES : false);
+
+// Google Ads offline conversion import
+const GOOGLE_ADS_CONVERSION_NAME = process.env.GOOGLE_ADS_CONVERSION_NAME || 'Purchase';
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'Africa/Lagos'; // Day boundaries for sales reports
+const GOOGLE_ADS_TIMEZONE = process.env.GOOGLE_ADS_TIMEZONE || BUSINESS_TIMEZONE; // Must match the Ads account time zone
 
 // MailerSend configuration
 const MAILERSEND_API_KEY = process.env.MAILERSEND_API_KEY;
 const FROM_EMAIL = process.env.FROM_EMAIL; // Must match verified domain
 const FROM_NAME = process.env.FROM_NAME || 'Learnlist';
 
-// Course details
-const DOWNLOAD_URL = 'http://learnlist.info/course.html';
+// Email transports, tried in this order until one delivers (mailersend, smtp, emailjs, sandbox).
+// SANDBOX_MODE always uses only the recording "sandbox" transport.
+const EMAIL_TRANSPORTS = (SANDBOX_MODE ? 'sandbox' : process.env.EMAIL_TRANSPORTS || 'mailersend')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+
+// Email templates: <dir>/<product id or "default">/<type>.<language>.json
+const EMAIL_TEMPLATES_DIR = process.env.EMAIL_TEMPLATES_DIR || path.join(__dirname, 'email-templates');
+const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE || 'en';
+
+// SMTP (nodemailer) configuration
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 587;
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASS = process.env.SMTP_PASS;
+
+// emailjs configuration (a second SMTP relay, falls back to the SMTP_* values)
+const EMAILJS_HOST = process.env.EMAILJS_HOST || SMTP_HOST;
+const EMAILJS_PORT = Number(process.env.EMAILJS_PORT) || SMTP_PORT;
+const EMAILJS_SSL = process.env.EMAILJS_SSL ? process.env.EMAILJS_SSL === 'true' : SMTP_SECURE;
+const EMAILJS_USER = process.env.EMAILJS_USER || SMTP_USER;
+const EMAILJS_PASSWORD = process.env.EMAILJS_PASSWORD || SMTP_PASS;
+
+// Product catalog (see loadCatalog). The env values below only describe the fallback
+// single-course product used when no catalog file exists.
+const CATALOG_FILE = process.env.CATALOG_FILE || path.join(__dirname, 'products.json');
+const COUPONS_FILE = process.env.COUPONS_FILE || path.join(__dirname, 'coupons.json');
+const AFFILIATES_FILE = process.env.AFFILIATES_FILE || path.join(__dirname, 'affiliates.json');
+const DOWNLOAD_URL = process.env.DOWNLOAD_ASSET_URL || 'http://learnlist.info/course.html'; // Real asset, never emailed directly
+const DOWNLOAD_FILE_PATH = process.env.DOWNLOAD_FILE_PATH; // Optional: stream a local file instead of redirecting
 const COURSE_TITLE = process.env.COURSE_TITLE || 'Your Course';
+const COURSE_PRICE = Number(process.env.COURSE_PRICE) || 0;
+
+// Per-order download links
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const DOWNLOAD_LINK_SECRET = process.env.DOWNLOAD_LINK_SECRET;
+const DOWNLOAD_LINK_TTL_HOURS = Number(process.env.DOWNLOAD_LINK_TTL_HOURS) || 72;
+const DOWNLOAD_LIMIT = Number(process.env.DOWNLOAD_LIMIT) || 5;
+
+// Seller details printed on PDF receipts; SELLER_ADDRESS lines are separated by "|"
+const SELLER_NAME = process.env.SELLER_NAME || FROM_NAME;
+const SELLER_ADDRESS = (process.env.SELLER_ADDRESS || '').split('|').map(line => line.trim()).filter(Boolean);
+const SELLER_EMAIL = process.env.SELLER_EMAIL || FROM_EMAIL || '';
+const SELLER_PHONE = process.env.SELLER_PHONE || '';
+const SELLER_TAX_ID = process.env.SELLER_TAX_ID || '';
+const RECEIPT_NUMBER_PREFIX = process.env.RECEIPT_NUMBER_PREFIX || 'RCPT-';
+const RECEIPT_LINK_TTL_DAYS = Number(process.env.RECEIPT_LINK_TTL_DAYS) || 365;
+
+// Local data directory (order store etc.)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const ORDERS_FILE = path.join(DATA_DIR, 'orders.jsonl');
+const WEBHOOK_EVENTS_FILE = path.join(DATA_DIR, 'webhook-events.jsonl');
+const JOBS_FILE = path.join(DATA_DIR, 'jobs.jsonl');
+const COUPON_REDEMPTIONS_FILE = path.join(DATA_DIR, 'coupon-redemptions.jsonl');
+const RECONCILIATIONS_FILE = path.join(DATA_DIR, 'reconciliations.jsonl');
+const UNSUBSCRIBES_FILE = path.join(DATA_DIR, 'unsubscribes.jsonl');
+const WEBHOOK_DELIVERIES_FILE = path.join(DATA_DIR, 'webhook-deliveries.jsonl');
+const AFFILIATE_LEDGER_FILE = path.join(DATA_DIR, 'affiliate-ledger.jsonl');
+// Holds each subscriber's signing secret, so it lives with the (git-ignored) data rather than the code
+const WEBHOOK_SUBSCRIBERS_FILE = process.env.WEBHOOK_SUBSCRIBERS_FILE || path.join(DATA_DIR, 'webhook-subscribers.json');
+
+// Scheduled reconciliation against the payment providers' transaction lists (0 disables the schedule)
+const RECONCILE_INTERVAL_MINUTES = Number(process.env.RECONCILE_INTERVAL_MINUTES ?? 60);
+const RECONCILE_WINDOW_HOURS = Number(process.env.RECONCILE_WINDOW_HOURS) || 48;
+
+// Reminder emails for unpaid checkouts (a delay of 0 disables them)
+const ABANDONED_REMINDER_DELAY_MINUTES = Number(process.env.ABANDONED_REMINDER_DELAY_MINUTES ?? 60);
+const ABANDONED_REMINDER_MAX = Number(process.env.ABANDONED_REMINDER_MAX ?? 2);
+const ABANDONED_REMINDER_SPACING_HOURS = Number(process.env.ABANDONED_REMINDER_SPACING_HOURS) || 24;
+const ABANDONED_REMINDER_MAX_AGE_DAYS = Number(process.env.ABANDONED_REMINDER_MAX_AGE_DAYS) || 7;
+const ABANDONED_SCAN_INTERVAL_MINUTES = Number(process.env.ABANDONED_SCAN_INTERVAL_MINUTES) || 15;
+
+// Background job queue (post-payment side effects)
+const JOB_POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+const JOB_RETRY_BASE_MS = Number(process.env.JOB_RETRY_BASE_MS) || 30 * 1000;
+const JOB_RETRY_MAX_MS = 60 * 60 * 1000;
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 8;
 
 // HTML escape helper for Telegram HTML parse_mode
 const esc = (s = '') => String(s)
@@ -33,508 +311,3972 @@ const esc = (s = '') => String(s)
   .replace(/</g, '&lt;')
   .replace(/>/g, '&gt;');
 
-// Initialize MailerSend client
-let mailerSend = null;
+// Post an HTML message to the team's Telegram chat
+function sendTelegramMessage(text, chatId = TELEGRAM_CHAT_ID) {
+  return axios.post(
+    `${TELEGRAM_API}/bot${TELEGRAM_BOT_TOKEN}/sendMessage`,
+    {
+      chat_id: chatId,
+      text,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true
+    }
+  ).then(response => {
+    metrics.telegramMessages.inc({ outcome: 'success' });
+    return response;
+  }, error => {
+    metrics.telegramMessages.inc({ outcome: 'failure' });
+    throw error;
+  });
+}
 
-// Test MailerSend connection on startup
-async function testMailerSendConnection() {
-  console.log('\n📧 Testing MailerSend connection...');
-  console.log('==========================================');
-  console.log(`API Key: ${MAILERSEND_API_KEY ? 'Present (' + MAILERSEND_API_KEY.substring(0, 8) + '...)' : 'Missing'}`);
-  console.log(`From Email: ${FROM_EMAIL || 'Missing'}`);
-  console.log(`From Name: ${FROM_NAME || 'Missing'}`);
-  console.log('==========================================\n');
+// Constant-time string comparison (hashing first makes the lengths equal)
+function safeEqual(a = '', b = '') {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
 
-  try {
-    if (!MAILERSEND_API_KEY) {
-      throw new Error('MAILERSEND_API_KEY is required - get it from MailerSend dashboard');
+// --- Request validation ---
+// Routes declare schemas as { body?, params?, query? }, each mapping field -> spec:
+//   { type: 'string' | 'email' | 'reference' | 'number' | 'boolean' | 'date',
+//     required?, min?, max?, enum?, pattern? }
+// Valid values are normalised in place (trimmed, lower-cased emails, parsed numbers and
+// booleans); anything else is answered with a 400 listing every problem.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const REFERENCE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.=-]{0,99}$/;
+const LOCALE_PATTERN = /^[A-Za-z]{2}(?:[-_][A-Za-z]{2})?$/;
+
+function checkField(raw, spec) {
+  if (raw === undefined || raw === null || raw === '') {
+    return spec.required ? { error: 'is required' } : { value: undefined };
+  }
+
+  switch (spec.type) {
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isFinite(value)) return { error: 'must be a number' };
+      if (spec.min !== undefined && value < spec.min) return { error: `must be at least ${spec.min}` };
+      if (spec.max !== undefined && value > spec.max) return { error: `must be at most ${spec.max}` };
+      return { value };
     }
+    case 'boolean': {
+      if (raw === true || raw === 'true' || raw === '1') return { value: true };
+      if (raw === false || raw === 'false' || raw === '0') return { value: false };
+      return { error: 'must be true or false' };
+    }
+    case 'date': {
+      if (typeof raw !== 'string' || isNaN(new Date(raw))) return { error: 'must be an ISO date' };
+      return { value: raw.trim() };
+    }
+    default: {
+      if (typeof raw !== 'string') return { error: 'must be a string' };
+      let value = raw.trim();
+      if (spec.type === 'email') {
+        value = value.toLowerCase();
+        if (!EMAIL_PATTERN.test(value) || value.length > 254) return { error: 'must be a valid email address' };
+      }
+      if (spec.type === 'reference' && !REFERENCE_PATTERN.test(value)) {
+        return { error: 'must be a valid reference' };
+      }
+      if (spec.required && !value) return { error: 'is required' };
+      if (value.length > (spec.max || 500)) return { error: `must be at most ${spec.max || 500} characters` };
+      if (spec.pattern && !spec.pattern.test(value)) return { error: 'has an invalid format' };
+      if (spec.enum && !spec.enum.includes(value)) return { error: `must be one of: ${spec.enum.join(', ')}` };
+      return { value };
+    }
+  }
+}
 
-    if (!FROM_EMAIL) {
-      throw new Error('FROM_EMAIL is required and must match your verified domain');
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = [];
+    for (const location of ['params', 'query', 'body']) {
+      if (!schema[location]) continue;
+      if (location === 'body' && (typeof req.body !== 'object' || req.body === null || Array.isArray(req.body))) {
+        req.body = {};
+      }
+      const source = req[location];
+
+      for (const [field, spec] of Object.entries(schema[location])) {
+        const result = checkField(source[field], spec);
+        if (result.error) {
+          errors.push({ field: `${location}.${field}`, message: `${field} ${result.error}` });
+        } else if (result.value === undefined) {
+          delete source[field];
+        } else {
+          source[field] = result.value;
+        }
+      }
     }
 
-    // Check if API key format looks correct
-    if (!MAILERSEND_API_KEY.startsWith('mlsn.')) {
-      console.warn('⚠️  WARNING: API key should start with "mlsn." - please verify your API key');
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: errors[0].message, errors });
     }
+    return next();
+  };
+}
 
-    // Initialize MailerSend client
-    mailerSend = new MailerSend({
-      apiKey: MAILERSEND_API_KEY,
-    });
+// --- Rate limiting (fixed window, in memory) ---
+const RATE_LIMIT_WINDOW_MS = (Number(process.env.RATE_LIMIT_WINDOW_MINUTES) || 10) * 60 * 1000;
+const RATE_LIMIT_PER_IP = Number(process.env.RATE_LIMIT_PER_IP) || 30;
+const RATE_LIMIT_PER_EMAIL = Number(process.env.RATE_LIMIT_PER_EMAIL) || 10;
+const rateLimitBuckets = new Map();
 
-    console.log('✅ MAILERSEND CLIENT INITIALIZED!');
-    console.log('✅ Email service is ready to send emails');
-    console.log('⚠️  Make sure your domain is verified in MailerSend dashboard');
-    console.log(`⚠️  Make sure FROM_EMAIL (${FROM_EMAIL}) matches your verified domain\n`);
-    return true;
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, bucket] of rateLimitBuckets) {
+    if (bucket.resetAt <= now) rateLimitBuckets.delete(key);
+  }
+}, RATE_LIMIT_WINDOW_MS).unref();
+
+// `keyFor(req)` picks what is limited (IP, email...); requests without a key are not limited
+function rateLimit({ name, max, windowMs = RATE_LIMIT_WINDOW_MS, keyFor }) {
+  return (req, res, next) => {
+    const key = keyFor(req);
+    if (!key) return next();
+
+    const now = Date.now();
+    const bucketKey = `${name}:${key}`;
+    let bucket = rateLimitBuckets.get(bucketKey);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      rateLimitBuckets.set(bucketKey, bucket);
+    }
+
+    bucket.count++;
+    if (bucket.count > max) {
+      res.setHeader('Retry-After', Math.ceil((bucket.resetAt - now) / 1000));
+      return res.status(429).json({ success: false, message: 'Too many requests - please try again later' });
+    }
+    return next();
+  };
+}
+
+const limitByIp = (name, max = RATE_LIMIT_PER_IP) => rateLimit({ name: `${name}:ip`, max, keyFor: req => req.ip });
+// Must run after validate() so the email is already normalised
+const limitByEmail = (name, max = RATE_LIMIT_PER_EMAIL) => rateLimit({ name: `${name}:email`, max, keyFor: req => req.body?.email });
+
+// Admin auth: `Authorization: Bearer <ADMIN_API_KEY>` or `x-api-key: <ADMIN_API_KEY>`
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return res.status(503).json({ success: false, message: 'Admin API is not configured' });
+  }
+
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : req.headers['x-api-key'];
+  if (!token || !safeEqual(token, ADMIN_API_KEY)) {
+    return res.status(401).json({ success: false, message: 'Unauthorized' });
+  }
+  return next();
+}
+
+// --- Append-only JSON lines files (used by the order store and the webhook journal) ---
+// Returns the parsed lines; unreadable lines (e.g. a partial last line after a crash) are skipped.
+function readJsonLines(file, label) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  if (!fs.existsSync(file)) return [];
+
+  const entries = [];
+  let skipped = 0;
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      skipped++;
+    }
+  }
+
+  if (skipped) {
+    logger.warn('Skipped unreadable lines', { store: label, skipped });
+  }
+  return entries;
+}
+
+// Synchronous append keeps entries ordered even when requests interleave
+function appendJsonLine(file, entry) {
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+}
+
+// --- Persistent order store (append-only JSON lines file) ---
+// Every change to an order is appended as one line: { reference, state, at, note, ...fields }.
+// The latest view of each order is rebuilt in memory on startup by replaying the file.
+const ORDER_STATES = ['initialized', 'verified', 'notified', 'emailed', 'fulfilled', 'failed', 'refunded'];
+const orders = new Map();
+
+function applyOrderEntry(entry) {
+  const { reference, state, at, note, ...fields } = entry;
+  const order = orders.get(reference) || { reference, createdAt: at, history: [] };
+
+  Object.assign(order, fields);
+  if (state) order.state = state;
+  order.updatedAt = at;
+  order.history.push({ state: state || null, at, note: note || null });
+
+  orders.set(reference, order);
+  return order;
+}
+
+function loadOrders() {
+  for (const entry of readJsonLines(ORDERS_FILE, 'Order store')) {
+    applyOrderEntry(entry);
+  }
+  logger.info('Order store loaded', { orders: orders.size, file: ORDERS_FILE });
+}
+
+// Append a change to an order. `state` is optional so plain timeline notes can be recorded too.
+function recordOrder(reference, { state, note, ...fields } = {}) {
+  if (!reference) throw new Error('Order reference is required');
+  if (state && !ORDER_STATES.includes(state)) {
+    throw new Error(`Unknown order state: ${state}`);
+  }
+
+  const entry = { reference, state, at: new Date().toISOString(), note, ...fields };
+  appendJsonLine(ORDERS_FILE, entry);
+  return applyOrderEntry(entry);
+}
+
+function getOrder(reference) {
+  return orders.get(reference) || null;
+}
+
+// --- Durable job queue (outbox) ---
+// Side effects are recorded as jobs before they run, so a restart or an outage of one service
+// never loses them. Each job retries with exponential backoff and is dead-lettered after
+// JOB_MAX_ATTEMPTS failures. Lines: { id, event: 'enqueued' | 'failed' | 'dead' | 'done' | 'requeued', at, ... }
+// Handlers are registered in `jobHandlers` as { run(payload, job), onDead?(job, error) }.
+const jobs = new Map();
+const runningJobs = new Set();
+
+function applyJobEntry({ id, event, at, type, reference, payload, requestId, error, nextRunAt, result }) {
+  const job = jobs.get(id) || { id, type, reference, payload, createdAt: at, attempts: 0, log: [] };
+
+  if (event === 'enqueued') {
+    Object.assign(job, { type, reference, payload, requestId: requestId || null, status: 'pending', nextRunAt: at });
+  } else if (event === 'requeued') {
+    Object.assign(job, { status: 'pending', attempts: 0, nextRunAt: at, lastError: null });
+  } else if (event === 'failed') {
+    Object.assign(job, { status: 'pending', attempts: job.attempts + 1, nextRunAt, lastError: error });
+  } else if (event === 'dead') {
+    Object.assign(job, { status: 'dead', attempts: job.attempts + 1, nextRunAt: null, lastError: error });
+  } else if (event === 'done') {
+    Object.assign(job, { status: 'done', attempts: job.attempts + 1, nextRunAt: null, result: result || null });
+  }
+  job.updatedAt = at;
+  job.log.push({ event, at, error: error || null });
+
+  jobs.set(id, job);
+  return job;
+}
+
+function loadJobs() {
+  for (const entry of readJsonLines(JOBS_FILE, 'Job queue')) {
+    applyJobEntry(entry);
+  }
+  const pending = [...jobs.values()].filter(job => job.status === 'pending').length;
+  logger.info('Job queue loaded', { jobs: jobs.size, pending });
+}
+
+function recordJob(id, event, fields = {}) {
+  const entry = { id, event, at: new Date().toISOString(), ...fields };
+  appendJsonLine(JOBS_FILE, entry);
+  return applyJobEntry(entry);
+}
+
+// Queue a job once per key. An existing job is left alone unless it was dead-lettered,
+// in which case it is given a fresh set of attempts.
+function enqueueJob(type, key, payload, reference = null) {
+  const id = `${type}:${key}`;
+  const existing = jobs.get(id);
+  if (existing && existing.status !== 'dead') {
+    return { job: existing, created: false };
+  }
+  if (existing) {
+    return { job: recordJob(id, 'requeued'), created: true };
+  }
+  const requestId = requestContext.getStore()?.requestId;
+  return { job: recordJob(id, 'enqueued', { type, reference, payload, requestId }), created: true };
+}
+
+function jobRetryDelay(attempts) {
+  return Math.min(JOB_RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), JOB_RETRY_MAX_MS);
+}
+
+async function runJob(job) {
+  if (job.status !== 'pending' || runningJobs.has(job.id)) return job;
+  // Retries from the worker log under the id of the request that queued the job
+  if (job.requestId && !requestContext.getStore()) {
+    return requestContext.run({ requestId: job.requestId }, () => runJob(job));
+  }
+
+  const handler = jobHandlers[job.type];
+  runningJobs.add(job.id);
+  try {
+    if (!handler) throw new Error(`No handler for job type ${job.type}`);
+    const result = await handler.run(job.payload, job);
+    return recordJob(job.id, 'done', { result });
   } catch (error) {
-    console.error('❌ MAILERSEND SETUP FAILED!');
-    console.error('❌ Error:', error.message);
-    console.error('\n📋 SETUP CHECKLIST:');
-    console.error('   1. Create account at https://mailersend.com');
-    console.error('   2. Add and verify your domain');
-    console.error('   3. Generate API token from domain settings');
-    console.error('   4. Set MAILERSEND_API_KEY in .env file');
-    console.error('   5. Set FROM_EMAIL to match verified domain');
-    console.error('\n⚠️  Server will continue running but emails will NOT be sent!\n');
-    return false;
+    const attempts = job.attempts + 1;
+    logger.error('Job failed', { job: job.id, reference: job.reference, attempt: attempts, maxAttempts: JOB_MAX_ATTEMPTS, error: error.message });
+
+    if (attempts >= JOB_MAX_ATTEMPTS) {
+      const dead = recordJob(job.id, 'dead', { error: error.message });
+      logger.error('Job moved to the dead-letter list', { job: job.id, reference: job.reference });
+      try {
+        await handler?.onDead?.(dead, error);
+      } catch (hookError) {
+        logger.error('Job onDead hook failed', { job: job.id, error: hookError.message });
+      }
+      return dead;
+    }
+
+    const nextRunAt = new Date(Date.now() + jobRetryDelay(attempts)).toISOString();
+    return recordJob(job.id, 'failed', { error: error.message, nextRunAt });
+  } finally {
+    runningJobs.delete(job.id);
+  }
+}
+
+// Run every due job; each job settles on its own so one failure never blocks the rest
+async function runDueJobs() {
+  const now = Date.now();
+  const due = [...jobs.values()].filter(job =>
+    job.status === 'pending' && !runningJobs.has(job.id) && new Date(job.nextRunAt).getTime() <= now);
+  await Promise.allSettled(due.map(runJob));
+}
+
+function startJobWorker() {
+  setInterval(() => {
+    runDueJobs().catch(error => logger.error('Job worker error', { error: error.message }));
+  }, JOB_POLL_INTERVAL_MS);
+  logger.info('Job worker started', { pollSeconds: JOB_POLL_INTERVAL_MS / 1000 });
+}
+
+// --- Buyer location (server-side, never taken from the request body) ---
+function clientIp(req) {
+  return String(req.ip || '').replace(/^::ffff:/, '') || null;
+}
+
+function lookupCountry(ip) {
+  if (!ip || ip === 'N/A') return null;
+  return geoip.lookup(String(ip).replace(/^::ffff:/, ''))?.country || null;
+}
+
+// --- Product catalog ---
+// products.json is an array of:
+//   { "id": "course", "title": "My Course", "price": 5000, "currency": "NGN",
+//     "prices": { "GH": { "price": 60, "currency": "GHS" } },   // optional, by buyer country
+//     "deliverable": { "url": "https://..." },   // or { "file": "/path/to/course.zip" }
+//     "provider": "flutterwave" }   // optional, overrides the currency/default payment provider
+// Prices are in major units (naira); the payment adapters convert to kobo themselves.
+const products = new Map();
+let defaultProductId = null;
+
+function loadCatalog() {
+  let list;
+  if (fs.existsSync(CATALOG_FILE)) {
+    list = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8'));
+    if (!Array.isArray(list)) throw new Error(`${CATALOG_FILE} must contain an array of products`);
+  } else {
+    logger.warn('No catalog file - using single product from COURSE_TITLE / COURSE_PRICE', { file: CATALOG_FILE });
+    list = [{
+      id: 'course',
+      title: COURSE_TITLE,
+      price: COURSE_PRICE,
+      currency: 'NGN',
+      deliverable: { url: DOWNLOAD_URL, file: DOWNLOAD_FILE_PATH }
+    }];
+  }
+
+  products.clear();
+  for (const product of list) {
+    if (!product.id || !product.title) throw new Error('Every product needs an id and a title');
+    if (!(Number(product.price) > 0)) {
+      logger.warn('Product has no valid price - it cannot be sold', { productId: product.id });
+    }
+    if (product.provider && !paymentProviders[product.provider]) {
+      logger.warn('Product names an unknown payment provider', { productId: product.id, provider: product.provider });
+    }
+    const prices = {};
+    for (const [country, regional] of Object.entries(product.prices || {})) {
+      if (!(Number(regional?.price) > 0) || !regional.currency) {
+        logger.warn('Product has an invalid country price - ignored', { productId: product.id, country });
+        continue;
+      }
+      prices[country.toUpperCase()] = { price: Number(regional.price), currency: regional.currency.toUpperCase() };
+    }
+
+    products.set(String(product.id), {
+      ...product,
+      id: String(product.id),
+      price: Number(product.price) || 0,
+      currency: (product.currency || 'NGN').toUpperCase(),
+      prices,
+      deliverable: product.deliverable || { url: DOWNLOAD_URL }
+    });
+  }
+  defaultProductId = list.length ? String(list[0].id) : null;
+
+  logger.info('Catalog loaded', { products: products.size });
+}
+
+function getProduct(productId) {
+  return products.get(String(productId || defaultProductId)) || null;
+}
+
+// Price and currency for a buyer's country, falling back to the product's base price
+function priceForCountry(product, country) {
+  const regional = country && product.prices[String(country).toUpperCase()];
+  return regional ? { ...regional } : { price: product.price, currency: product.currency };
+}
+
+// The product price in a given currency (used when we never saw the checkout being initialized)
+function priceForCurrency(product, currency) {
+  const paid = String(currency || '').toUpperCase();
+  if (product.currency === paid) return { price: product.price, currency: product.currency };
+  const regional = Object.values(product.prices).find(option => option.currency === paid);
+  return regional ? { ...regional } : { price: product.price, currency: product.currency };
+}
+
+// Amounts are compared in the smallest currency unit to avoid float surprises
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+
+// Returns a description of the problem, or null when the payment matches the expected
+// price (less any coupon discount granted when the checkout was initialized)
+function checkPaymentAgainstProduct(product, { amount, currency, discount = 0, pricing = product }) {
+  if (!product) return 'Unknown product';
+  if (String(currency).toUpperCase() !== pricing.currency) {
+    return `Currency mismatch: paid ${currency}, expected ${pricing.currency}`;
+  }
+  const expected = (toMinorUnits(pricing.price) - toMinorUnits(discount)) / 100;
+  if (toMinorUnits(amount) !== toMinorUnits(expected)) {
+    return `Amount mismatch: paid ${currency} ${amount}, expected ${pricing.currency} ${expected}`;
+  }
+  return null;
+}
+
+// --- Coupons ---
+// coupons.json is an array of:
+//   { "code": "LAUNCH20", "type": "percent", "value": 20,
+//     "expiresAt": "2026-12-31T23:59:59Z", "maxRedemptions": 100, "maxPerEmail": 1,
+//     "productIds": ["course"], "active": true }
+// `type` is "percent" or "fixed" (fixed values are in the product's major currency unit and
+// may set "currency"). Redemptions are only counted once a payment is fulfilled.
+const coupons = new Map();
+const couponRedemptions = new Map(); // reference -> { code, email, reference, discount, at }
+
+const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+function loadCoupons() {
+  coupons.clear();
+  if (fs.existsSync(COUPONS_FILE)) {
+    const list = JSON.parse(fs.readFileSync(COUPONS_FILE, 'utf8'));
+    if (!Array.isArray(list)) throw new Error(`${COUPONS_FILE} must contain an array of coupons`);
+
+    for (const coupon of list) {
+      if (!coupon.code || !['percent', 'fixed'].includes(coupon.type) || !(Number(coupon.value) > 0)) {
+        logger.warn('Skipping invalid coupon', { coupon: coupon.code || coupon });
+        continue;
+      }
+      coupons.set(normalizeCouponCode(coupon.code), { ...coupon, code: normalizeCouponCode(coupon.code), value: Number(coupon.value) });
+    }
+  }
+
+  couponRedemptions.clear();
+  for (const entry of readJsonLines(COUPON_REDEMPTIONS_FILE, 'Coupon redemptions')) {
+    couponRedemptions.set(entry.reference, entry);
+  }
+  logger.info('Coupons loaded', { coupons: coupons.size, redemptions: couponRedemptions.size });
+}
+
+function countCouponRedemptions(code, email) {
+  let total = 0;
+  let forEmail = 0;
+  for (const redemption of couponRedemptions.values()) {
+    if (redemption.code !== code) continue;
+    total++;
+    if (email && redemption.email === String(email).toLowerCase()) forEmail++;
+  }
+  return { total, forEmail };
+}
+
+// Discount a coupon gives on a product at a given price, or 0 when it does not apply to it
+function couponDiscount(coupon, product, pricing = product) {
+  if (!coupon || !product) return 0;
+  if (Array.isArray(coupon.productIds) && coupon.productIds.length && !coupon.productIds.includes(product.id)) return 0;
+  if (coupon.type === 'fixed' && coupon.currency && coupon.currency.toUpperCase() !== pricing.currency) return 0;
+
+  const discount = coupon.type === 'percent'
+    ? Math.round(toMinorUnits(pricing.price) * Math.min(coupon.value, 100) / 100) / 100
+    : Math.min(coupon.value, pricing.price);
+  return discount;
+}
+
+// Full check at checkout time. Returns { coupon, discount } or { error }.
+function applyCoupon(code, { product, pricing = product, email }) {
+  const coupon = coupons.get(normalizeCouponCode(code));
+  if (!coupon || coupon.active === false) return { error: 'Invalid coupon code' };
+  if (coupon.expiresAt && new Date(coupon.expiresAt) < new Date()) return { error: 'This coupon has expired' };
+
+  const discount = couponDiscount(coupon, product, pricing);
+  if (!discount) return { error: 'This coupon does not apply to this product' };
+
+  const used = countCouponRedemptions(coupon.code, email);
+  if (coupon.maxRedemptions && used.total >= coupon.maxRedemptions) {
+    return { error: 'This coupon has been fully redeemed' };
+  }
+  if (coupon.maxPerEmail && used.forEmail >= coupon.maxPerEmail) {
+    return { error: 'You have already used this coupon' };
+  }
+  return { coupon, discount };
+}
+
+// Called once a payment is confirmed; a reference is only ever counted once
+function recordCouponRedemption({ code, email, reference, discount }) {
+  if (!code || couponRedemptions.has(reference)) return;
+  const entry = { code, email: String(email || '').toLowerCase(), reference, discount, at: new Date().toISOString() };
+  appendJsonLine(COUPON_REDEMPTIONS_FILE, entry);
+  couponRedemptions.set(reference, entry);
+}
+
+// --- Affiliates and referral commissions ---
+// affiliates.json is an array of:
+//   { "code": "ADA", "name": "Ada's Newsletter", "email": "ada@example.com", "commissionPercent": 20, "active": true }
+// Commissions live in an append-only ledger (affiliate-ledger.jsonl) of entries
+//   { id, type: 'commission' | 'reversal' | 'payout', affiliate, currency, amount, at, ... }
+// where reversals are negative. Per currency, pending = commissions + reversals - payouts.
+const affiliates = new Map();
+const affiliateLedger = [];
+
+const normalizeReferralCode = (code) => String(code || '').trim().toUpperCase();
+
+function loadAffiliates() {
+  affiliates.clear();
+  if (fs.existsSync(AFFILIATES_FILE)) {
+    const list = JSON.parse(fs.readFileSync(AFFILIATES_FILE, 'utf8'));
+    if (!Array.isArray(list)) throw new Error(`${AFFILIATES_FILE} must contain an array of affiliates`);
+
+    for (const affiliate of list) {
+      const percent = Number(affiliate.commissionPercent);
+      if (!affiliate.code || !(percent > 0 && percent <= 100)) {
+        logger.warn('Skipping invalid affiliate', { affiliate: affiliate.code || affiliate });
+        continue;
+      }
+      const code = normalizeReferralCode(affiliate.code);
+      affiliates.set(code, { ...affiliate, code, commissionPercent: percent });
+    }
+  }
+
+  affiliateLedger.length = 0;
+  affiliateLedger.push(...readJsonLines(AFFILIATE_LEDGER_FILE, 'Affiliate ledger'));
+  logger.info('Affiliates loaded', { affiliates: affiliates.size, ledgerEntries: affiliateLedger.length });
+}
+
+// Active affiliate for a referral code, or null
+function getAffiliate(code) {
+  const affiliate = affiliates.get(normalizeReferralCode(code));
+  return affiliate && affiliate.active !== false ? affiliate : null;
+}
+
+function appendLedgerEntry(entry) {
+  const full = { id: `${entry.type}_${crypto.randomBytes(8).toString('hex')}`, at: new Date().toISOString(), ...entry };
+  appendJsonLine(AFFILIATE_LEDGER_FILE, full);
+  affiliateLedger.push(full);
+  return full;
+}
+
+// Called once a payment is confirmed; a reference only ever earns one commission
+function recordCommission({ code, reference, email, amount, currency }) {
+  const affiliate = affiliates.get(code);
+  if (!affiliate || affiliateLedger.some(entry => entry.type === 'commission' && entry.reference === reference)) return null;
+  if (affiliate.email && affiliate.email.toLowerCase() === String(email || '').toLowerCase()) {
+    logger.info('No commission: affiliate referred their own purchase', { reference, affiliate: code });
+    return null;
+  }
+
+  const commission = Math.round(toMinorUnits(amount) * affiliate.commissionPercent / 100) / 100;
+  return appendLedgerEntry({
+    type: 'commission',
+    affiliate: code,
+    reference,
+    currency,
+    saleAmount: amount,
+    commissionPercent: affiliate.commissionPercent,
+    amount: commission
+  });
+}
+
+// A refund gives back the matching share of the commission (all of it once the sale is fully
+// refunded); if the commission was already paid out, the next payout is smaller
+function reverseCommission(reference, { refundedAmount, fullyRefunded }, reason) {
+  const commission = affiliateLedger.find(entry => entry.type === 'commission' && entry.reference === reference);
+  if (!commission) return null;
+
+  const reversed = affiliateLedger
+    .filter(entry => entry.type === 'reversal' && entry.reference === reference)
+    .reduce((sum, entry) => sum - toMinorUnits(entry.amount), 0);
+  const remaining = toMinorUnits(commission.amount) - reversed;
+  const share = fullyRefunded
+    ? remaining
+    : Math.min(remaining, Math.round(toMinorUnits(commission.amount) * refundedAmount / commission.saleAmount));
+  if (!(share > 0)) return null;
+
+  return appendLedgerEntry({
+    type: 'reversal',
+    affiliate: commission.affiliate,
+    reference,
+    currency: commission.currency,
+    amount: -share / 100,
+    full: Boolean(fullyRefunded),
+    reason
+  });
+}
+
+// Per-currency totals for one affiliate: { NGN: { sales, refunded, revenue, earned, paid, pending } }
+function affiliateBalances(code) {
+  const balances = {};
+  for (const entry of affiliateLedger) {
+    if (entry.affiliate !== code) continue;
+    const balance = balances[entry.currency] ||= { sales: 0, refunded: 0, revenue: 0, earned: 0, paid: 0, pending: 0 };
+    const minor = toMinorUnits(entry.amount);
+    if (entry.type === 'commission') {
+      balance.sales++;
+      balance.revenue += toMinorUnits(entry.saleAmount);
+      balance.earned += minor;
+    } else if (entry.type === 'reversal') {
+      if (entry.full !== false) balance.refunded++;
+      balance.earned += minor;
+    } else if (entry.type === 'payout') {
+      balance.paid += minor;
+    }
+  }
+  for (const balance of Object.values(balances)) {
+    balance.pending = (balance.earned - balance.paid) / 100;
+    balance.revenue /= 100;
+    balance.earned /= 100;
+    balance.paid /= 100;
   }
+  return balances;
 }
 
-// Email sender using MailerSend API
-async function sendDownloadEmailMailerSend({ fullName, email, downloadUrl, reference, courseTitle }) {
-  console.log('\n📨 Attempting to send email via MailerSend...');
-  console.log(`   To: ${email}`);
-  console.log(`   Name: ${fullName}`);
-  console.log(`   Reference: ${reference}`);
-  
+// --- Payment providers ---
+// Each adapter hides one gateway behind the same interface:
+//   initialize({ reference, email, fullName, amount, currency, metadata, callbackUrl })
+//       -> { authorizationUrl, accessCode } or null when the gateway declines
+//   verify(reference)                -> normalized payment (plus the gateway's own transaction as
+//                                       `raw`), or null when the gateway has none
+//   checkWebhookSignature(req)       -> true when the delivery really comes from the gateway
+//   webhookEventId(event)            -> id that is stable across redeliveries (for the journal)
+//   normalizeWebhookEvent(event)     -> { type, payment | refund | dispute }, or null to ignore it
+//   refund({ order, amount, reason }) -> { status, message }
+//   listTransactions({ from, to })   -> normalized successful payments (for reconciliation)
+// Amounts cross this boundary in major units; adapters convert to the gateway's own units.
+//
+// A normalized payment is:
+//   { provider, reference, transactionId, status: 'success' | 'failed' | ..., email, fullName,
+//     amount, currency, productId, couponCode, referralCode, gclid, ipAddress, cardCountry, channel,
+//     paidAt, failureReason? }
+// Normalized webhook types: payment.success, payment.failed, refund.processed, refund.failed,
+// dispute.created.
+
+const paystackHeaders = () => ({
+  Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
+  'Content-Type': 'application/json'
+});
+
+// Paystack sometimes returns metadata as a JSON string
+function paystackMetadata(data) {
+  const metadata = data?.metadata;
+  if (typeof metadata !== 'string') return metadata || {};
   try {
-    if (!mailerSend) {
-      throw new Error('MailerSend client not initialized');
+    return JSON.parse(metadata);
+  } catch (error) {
+    return {};
+  }
+}
+
+// The verify response, the charge.* webhooks and the list-transactions items share this shape
+function paymentFromPaystackTransaction(data) {
+  const metadata = paystackMetadata(data);
+  return {
+    provider: 'paystack',
+    reference: data.reference,
+    transactionId: data.id ?? null,
+    status: data.status || 'unknown',
+    email: data.customer?.email || data.authorization?.email,
+    fullName: metadata.full_name || `${data.customer?.first_name || ''} ${data.customer?.last_name || ''}`.trim() || 'Customer',
+    amount: Math.round(Number(data.amount) || 0) / 100,
+    currency: data.currency || 'NGN',
+    productId: metadata.product_id,
+    couponCode: metadata.coupon_code,
+    referralCode: metadata.referral_code,
+    gclid: metadata.gclid || 'direct',
+    ipAddress: data.ip_address || null,
+    cardCountry: data.authorization?.country_code || null,
+    channel: data.channel || data.authorization?.channel || null,
+    paidAt: data.paid_at || data.paidAt || null
+  };
+}
+
+const paystackProvider = {
+  name: 'paystack',
+  label: 'Paystack',
+  configured: () => Boolean(PAYSTACK_SECRET_KEY),
+
+  async initialize({ reference, email, fullName, amount, currency, metadata, callbackUrl }) {
+    const response = await axios.post(`${PAYSTACK_API}/transaction/initialize`, {
+      email,
+      amount: toMinorUnits(amount), // Paystack wants the smallest unit (kobo, pesewas...)
+      currency,
+      reference,
+      metadata: {
+        ...metadata,
+        custom_fields: [{ display_name: 'Full Name', variable_name: 'full_name', value: fullName }]
+      },
+      callback_url: callbackUrl
+    }, { headers: paystackHeaders() });
+
+    if (!response.data?.status) return null;
+    return {
+      authorizationUrl: response.data.data.authorization_url,
+      accessCode: response.data.data.access_code
+    };
+  },
+
+  async verify(reference) {
+    const response = await axios.get(
+      `${PAYSTACK_API}/transaction/verify/${encodeURIComponent(reference)}`,
+      { headers: paystackHeaders() }
+    );
+    const data = response.data?.data;
+    return response.data?.status && data ? { ...paymentFromPaystackTransaction(data), raw: data } : null;
+  },
+
+  // HMAC-SHA512 of the raw body with the secret key
+  checkWebhookSignature(req) {
+    const signature = req.headers['x-paystack-signature'];
+    const hash = PAYSTACK_SECRET_KEY && req.rawBody && crypto
+      .createHmac('sha512', PAYSTACK_SECRET_KEY)
+      .update(req.rawBody)
+      .digest('hex');
+    return Boolean(hash && signature && safeEqual(hash, signature));
+  },
+
+  // Paystack has no top-level event id; the event name plus the id of the object it is about is
+  // stable across redeliveries of the same event.
+  webhookEventId(event) {
+    const data = event?.data || {};
+    const subject = data.id ?? data.refund_reference ?? data.reference ?? crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+    return `${event?.event || 'unknown'}:${subject}`;
+  },
+
+  async normalizeWebhookEvent(event) {
+    const data = event?.data || {};
+    const refund = () => ({
+      provider: 'paystack',
+      reference: data.transaction_reference || data.transaction?.reference,
+      refundId: data.refund_reference || data.id || null,
+      amount: Math.round(Number(data.amount) || 0) / 100,
+      currency: data.currency || null,
+      status: data.status || null,
+      note: data.merchant_note || null
+    });
+
+    switch (event?.event) {
+      case 'charge.success':
+        return { type: 'payment.success', payment: paymentFromPaystackTransaction(data) };
+      case 'charge.failed':
+        return {
+          type: 'payment.failed',
+          payment: { ...paymentFromPaystackTransaction(data), failureReason: data.gateway_response || null }
+        };
+      case 'refund.processed':
+        return { type: 'refund.processed', refund: refund() };
+      case 'refund.failed':
+        return { type: 'refund.failed', refund: refund() };
+      case 'charge.dispute.create':
+        return {
+          type: 'dispute.created',
+          dispute: {
+            provider: 'paystack',
+            reference: data.transaction?.reference || data.transaction_reference,
+            disputeId: data.id || null,
+            amount: Math.round(Number(data.refund_amount ?? data.transaction?.amount) || 0) / 100,
+            currency: data.currency || 'NGN',
+            status: data.status || null,
+            category: data.category || null,
+            dueAt: data.due_at || null
+          }
+        };
+      default:
+        return null;
+    }
+  },
+
+  async refund({ order, amount, reason }) {
+    const response = await axios.post(`${PAYSTACK_API}/refund`, {
+      transaction: order.reference,
+      amount: toMinorUnits(amount),
+      currency: order.currency,
+      merchant_note: reason || undefined,
+      customer_note: reason || undefined
+    }, { headers: paystackHeaders() });
+
+    return { status: response.data?.data?.status || 'pending', message: response.data?.message };
+  },
+
+  async listTransactions({ from, to }) {
+    const transactions = [];
+    const maxPages = 50;
+
+    for (let page = 1; page <= maxPages; page++) {
+      const response = await axios.get(`${PAYSTACK_API}/transaction`, {
+        params: { perPage: 100, page, status: 'success', from: from.toISOString(), to: to.toISOString() },
+        headers: paystackHeaders()
+      });
+
+      transactions.push(...(response.data?.data || []));
+      const pageCount = Number(response.data?.meta?.pageCount) || 1;
+      if (page >= pageCount) break;
+    }
+    return transactions.map(paymentFromPaystackTransaction);
+  }
+};
+
+const FLUTTERWAVE_API = 'https://api.flutterwave.com/v3';
+const flutterwaveHeaders = () => ({
+  Authorization: `Bearer ${FLUTTERWAVE_SECRET_KEY}`,
+  'Content-Type': 'application/json'
+});
+
+// Flutterwave amounts are already in major units; card.country looks like "NIGERIA NG"
+function paymentFromFlutterwaveTransaction(data) {
+  const meta = data.meta || data.meta_data || {};
+  const cardCountry = String(data.card?.country || '').trim().slice(-2).toUpperCase();
+  return {
+    provider: 'flutterwave',
+    reference: data.tx_ref,
+    transactionId: data.id ?? null,
+    status: data.status === 'successful' ? 'success' : data.status || 'unknown',
+    email: data.customer?.email,
+    fullName: meta.full_name || data.customer?.name || 'Customer',
+    amount: Number(data.amount) || 0,
+    currency: data.currency || 'NGN',
+    productId: meta.product_id,
+    couponCode: meta.coupon_code,
+    referralCode: meta.referral_code,
+    gclid: meta.gclid || 'direct',
+    ipAddress: data.ip || null,
+    cardCountry: /^[A-Z]{2}$/.test(cardCountry) ? cardCountry : null,
+    channel: data.payment_type || null,
+    paidAt: data.created_at || null
+  };
+}
+
+const flutterwaveProvider = {
+  name: 'flutterwave',
+  label: 'Flutterwave',
+  configured: () => Boolean(FLUTTERWAVE_SECRET_KEY),
+
+  async initialize({ reference, email, fullName, amount, currency, metadata, callbackUrl }) {
+    const response = await axios.post(`${FLUTTERWAVE_API}/payments`, {
+      tx_ref: reference,
+      amount,
+      currency,
+      redirect_url: callbackUrl,
+      customer: { email, name: fullName },
+      // Flutterwave only keeps flat, non-empty meta values
+      meta: Object.fromEntries(Object.entries({ full_name: fullName, ...metadata }).filter(([, value]) => value !== undefined))
+    }, { headers: flutterwaveHeaders() });
+
+    if (response.data?.status !== 'success' || !response.data.data?.link) return null;
+    return { authorizationUrl: response.data.data.link, accessCode: null };
+  },
+
+  async verify(reference) {
+    const response = await axios.get(`${FLUTTERWAVE_API}/transactions/verify_by_reference`, {
+      params: { tx_ref: reference },
+      headers: flutterwaveHeaders()
+    });
+    const data = response.data?.data;
+    return response.data?.status === 'success' && data ? { ...paymentFromFlutterwaveTransaction(data), raw: data } : null;
+  },
+
+  // Flutterwave echoes the dashboard's "secret hash" in the verif-hash header
+  checkWebhookSignature(req) {
+    const signature = req.headers['verif-hash'];
+    return Boolean(FLUTTERWAVE_WEBHOOK_HASH && signature && safeEqual(signature, FLUTTERWAVE_WEBHOOK_HASH));
+  },
+
+  webhookEventId(event) {
+    const data = event?.data || {};
+    const subject = data.id ?? data.tx_ref ?? crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+    return `flutterwave:${event?.event || 'unknown'}:${subject}`;
+  },
+
+  // Webhook bodies carry no meta and are only trusted as a hint: charges are re-verified
+  async normalizeWebhookEvent(event) {
+    const data = event?.data || {};
+
+    switch (event?.event) {
+      case 'charge.completed': {
+        const payment = await this.verify(data.tx_ref);
+        if (!payment) return null;
+        return payment.status === 'success'
+          ? { type: 'payment.success', payment }
+          : { type: 'payment.failed', payment: { ...payment, failureReason: data.processor_response || null } };
+      }
+      case 'refund.completed': {
+        const refund = {
+          provider: 'flutterwave',
+          reference: data.tx_ref || null,
+          transactionId: data.TransactionId ?? data.transaction_id ?? null,
+          refundId: data.id || null,
+          amount: Number(data.AmountRefunded ?? data.amount_refunded) || 0,
+          currency: data.currency || null,
+          status: data.status || null,
+          note: data.comments || null
+        };
+        return { type: data.status === 'completed' ? 'refund.processed' : 'refund.failed', refund };
+      }
+      default:
+        return null;
+    }
+  },
+
+  // Flutterwave refunds by its own transaction id, recorded when the payment was verified
+  async refund({ order, amount, reason }) {
+    if (!order.transactionId) throw new Error('Order has no Flutterwave transaction id');
+    const response = await axios.post(`${FLUTTERWAVE_API}/transactions/${order.transactionId}/refund`, {
+      amount,
+      comments: reason || undefined
+    }, { headers: flutterwaveHeaders() });
+
+    return { status: response.data?.data?.status || 'pending', message: response.data?.message };
+  },
+
+  async listTransactions({ from, to }) {
+    const transactions = [];
+    const maxPages = 50;
+    const day = (date) => date.toISOString().slice(0, 10);
+
+    for (let page = 1; page <= maxPages; page++) {
+      const response = await axios.get(`${FLUTTERWAVE_API}/transactions`, {
+        params: { page, status: 'successful', from: day(from), to: day(to) },
+        headers: flutterwaveHeaders()
+      });
+
+      transactions.push(...(response.data?.data || []));
+      const pageCount = Number(response.data?.meta?.page_info?.total_pages) || 1;
+      if (page >= pageCount) break;
+    }
+
+    // The API filters by whole days; trim to the exact window
+    return transactions
+      .map(paymentFromFlutterwaveTransaction)
+      .filter(payment => !payment.paidAt || (new Date(payment.paidAt) >= from && new Date(payment.paidAt) <= to));
+  }
+};
+
+const paymentProviders = {
+  paystack: paystackProvider,
+  flutterwave: flutterwaveProvider
+};
+const PAYMENT_PROVIDERS = Object.keys(paymentProviders);
+
+// Time every outbound provider API call for the metrics endpoint
+for (const provider of Object.values(paymentProviders)) {
+  for (const operation of ['initialize', 'verify', 'refund', 'listTransactions']) {
+    const call = provider[operation];
+    provider[operation] = async function timedProviderCall(...args) {
+      const started = process.hrtime.bigint();
+      const observe = (outcome) => metrics.providerRequestSeconds.observe(
+        { provider: provider.name, operation, outcome },
+        Number(process.hrtime.bigint() - started) / 1e9
+      );
+      try {
+        const result = await call.apply(this, args);
+        observe('success');
+        return result;
+      } catch (error) {
+        observe('error');
+        throw error;
+      }
+    };
+  }
+}
+
+// Orders recorded before providers existed were all Paystack
+function getPaymentProvider(name) {
+  return paymentProviders[name || 'paystack'] || null;
+}
+
+// The product's own setting wins, then the currency mapping, then the default
+function providerForCheckout(product, currency) {
+  if (SANDBOX_MODE) return paystackProvider;
+  return getPaymentProvider(product.provider || PAYMENT_PROVIDER_BY_CURRENCY[currency] || DEFAULT_PAYMENT_PROVIDER);
+}
+
+// Some refund webhooks (Flutterwave) only name the gateway's transaction id
+function referenceForTransaction(provider, transactionId) {
+  if (transactionId === null || transactionId === undefined) return null;
+  for (const order of orders.values()) {
+    if ((order.provider || 'paystack') === provider && String(order.transactionId) === String(transactionId)) {
+      return order.reference;
+    }
+  }
+  return null;
+}
+
+// --- Webhook event journal ---
+// Every verified payment-provider event is journaled before processing, so duplicate deliveries are
+// detected and a stored event can be replayed after a bug fix.
+// Lines: { id, type: 'received' | 'duplicate' | 'processed' | 'ignored' | 'failed', at, provider?, payload?, error? }
+const webhookEvents = new Map();
+
+function applyWebhookEntry({ id, type, at, provider, payload, error, replay }) {
+  const record = webhookEvents.get(id) || { id, receivedAt: at, attempts: 0, duplicates: 0 };
+  if (type === 'received') {
+    record.provider = provider || 'paystack';
+    record.event = payload?.event;
+    record.payload = payload;
+    record.status = 'received';
+  } else if (type === 'duplicate') {
+    record.duplicates++;
+  } else {
+    record.attempts++;
+    record.status = type;
+    record.lastError = error || null;
+    record.lastProcessedAt = at;
+    if (replay) record.replayedAt = at;
+  }
+  webhookEvents.set(id, record);
+  return record;
+}
+
+function loadWebhookEvents() {
+  for (const entry of readJsonLines(WEBHOOK_EVENTS_FILE, 'Webhook journal')) {
+    applyWebhookEntry(entry);
+  }
+  logger.info('Webhook journal loaded', { events: webhookEvents.size });
+}
+
+function journalWebhookEvent(id, type, fields = {}) {
+  const entry = { id, type, at: new Date().toISOString(), ...fields };
+  appendJsonLine(WEBHOOK_EVENTS_FILE, entry);
+  return applyWebhookEntry(entry);
+}
+
+// --- Signed, expiring download links ---
+// Token format: base64url(JSON { ref, exp }) + '.' + base64url(HMAC-SHA256 of that payload)
+function downloadSigningKey() {
+  if (DOWNLOAD_LINK_SECRET) return DOWNLOAD_LINK_SECRET;
+  if (!PAYSTACK_SECRET_KEY) throw new Error('DOWNLOAD_LINK_SECRET is not configured');
+  // Fallback: derive a dedicated key so the Paystack secret itself never signs links
+  return crypto.createHmac('sha256', PAYSTACK_SECRET_KEY).update('download-links').digest();
+}
+
+function signDownloadToken(reference, ttlHours = DOWNLOAD_LINK_TTL_HOURS) {
+  const exp = Math.floor(Date.now() / 1000) + Math.round(ttlHours * 3600);
+  const payload = Buffer.from(JSON.stringify({ ref: reference, exp })).toString('base64url');
+  const signature = crypto.createHmac('sha256', downloadSigningKey()).update(payload).digest('base64url');
+  return { token: `${payload}.${signature}`, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+// Returns { reference } for a valid token, or { error } describing why it was rejected
+function verifyDownloadToken(token = '') {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) return { error: 'Malformed download link' };
+
+  const expected = crypto.createHmac('sha256', downloadSigningKey()).update(payload).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { error: 'Invalid download link' };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'Malformed download link' };
+  }
+
+  if (!data.ref || !data.exp) return { error: 'Malformed download link' };
+  if (data.exp * 1000 < Date.now()) return { error: 'Download link has expired', expired: true };
+  return { reference: data.ref };
+}
+
+function createDownloadLink(reference) {
+  const { token, expiresAt } = signDownloadToken(reference);
+  return { url: `${PUBLIC_BASE_URL}/api/download/${token}`, expiresAt };
+}
+
+// Other signed links (checkout resume, unsubscribe) use the same format with a key per purpose,
+// so a token minted for one purpose never validates for another or as a download link.
+const linkSigningKey = (purpose) => crypto.createHmac('sha256', downloadSigningKey()).update(`link:${purpose}`).digest();
+
+function signLinkToken(purpose, data, ttlHours) {
+  const exp = Math.floor(Date.now() / 1000) + Math.round(ttlHours * 3600);
+  const payload = Buffer.from(JSON.stringify({ ...data, exp })).toString('base64url');
+  return `${payload}.${crypto.createHmac('sha256', linkSigningKey(purpose)).update(payload).digest('base64url')}`;
+}
+
+// Returns { data } for a valid token, or { error, expired? }
+function verifyLinkToken(purpose, token = '') {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) return { error: 'Malformed link' };
+
+  const expected = crypto.createHmac('sha256', linkSigningKey(purpose)).update(payload).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { error: 'Invalid link' };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'Malformed link' };
+  }
+  if (!data.exp || data.exp * 1000 < Date.now()) return { error: 'Link has expired', expired: true };
+  return { data };
+}
+
+// --- PDF receipts ---
+// Every verified payment gets the next sequential receipt number (RECEIPT_NUMBER_PREFIX + 6 digits).
+// The PDF is rendered on demand from the order store, so a re-download always matches the order.
+function ensureReceiptNumber(order) {
+  if (order.receiptNumber) return order;
+  const last = [...orders.values()].reduce((max, entry) => Math.max(max, entry.receiptSequence || 0), 0);
+  return recordOrder(order.reference, {
+    receiptSequence: last + 1,
+    receiptNumber: `${RECEIPT_NUMBER_PREFIX}${String(last + 1).padStart(6, '0')}`
+  });
+}
+
+function createReceiptLink(reference) {
+  return `${PUBLIC_BASE_URL}/api/receipt/${signLinkToken('receipt', { ref: reference }, RECEIPT_LINK_TTL_DAYS * 24)}`;
+}
+
+// PDF strings are Latin-1 (WinAnsi); anything outside it, like the naira sign, prints as "?"
+const pdfString = (value) => `(${String(value ?? '')
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/[\\()]/g, '\\$&')})`;
+
+// Minimal single-page A4 PDF with the two standard Helvetica fonts: enough for a receipt
+// without pulling in a PDF library. `lines` are { text, x, y, size?, bold? } or { rule: y }.
+function buildPdf(lines, title) {
+  const content = lines.map(line => line.rule !== undefined
+    ? `0.8 G 50 ${line.rule} m 545 ${line.rule} l S 0 G`
+    : `BT /${line.bold ? 'F2' : 'F1'} ${line.size || 10} Tf ${line.x} ${line.y} Td ${pdfString(line.text)} Tj ET`
+  ).join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+    `<< /Title ${pdfString(title)} /Producer ${pdfString(SELLER_NAME)} >>`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+const formatReceiptAmount = (amount, currency) =>
+  `${currency} ${(Number(amount) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Resolves { filename, content, contentType } for a verified order
+function renderReceipt(order) {
+  order = ensureReceiptNumber(order);
+  const product = getProduct(order.productId);
+  const currency = order.currency || 'NGN';
+  const paid = order.paidAmount ?? order.amount;
+  const provider = getPaymentProvider(order.provider);
+  const method = order.channel
+    ? `${order.channel.replace(/_/g, ' ')} via ${provider.label}`
+    : provider.label;
+
+  const lines = [];
+  let y = 780;
+  const add = (text, x, options = {}) => lines.push({ text, x, y, ...options });
+
+  add(SELLER_NAME, 50, { size: 18, bold: true });
+  add('RECEIPT', 400, { size: 18, bold: true });
+  y -= 20;
+  add(`No. ${order.receiptNumber}`, 400);
+  for (const detail of [...SELLER_ADDRESS, SELLER_EMAIL, SELLER_PHONE, SELLER_TAX_ID && `Tax ID: ${SELLER_TAX_ID}`].filter(Boolean)) {
+    add(detail, 50);
+    y -= 14;
+  }
+
+  y = Math.min(y, 720) - 16;
+  lines.push({ rule: y });
+  y -= 24;
+  add('Billed to', 50, { bold: true });
+  add('Paid on', 320, { bold: true });
+  y -= 16;
+  add(order.fullName || 'Customer', 50);
+  add(formatEmailDate(order.paidAt || order.verifiedAt, 'en'), 320);
+  y -= 14;
+  add(order.email || '', 50);
+
+  y -= 36;
+  add('Description', 50, { bold: true });
+  add('Amount', 420, { bold: true });
+  y -= 8;
+  lines.push({ rule: y });
+  y -= 18;
+  add(product?.title || COURSE_TITLE, 50);
+  add(formatReceiptAmount(order.originalAmount ?? paid, currency), 420);
+  if (order.discount) {
+    y -= 18;
+    add(`Discount${order.couponCode ? ` (${order.couponCode})` : ''}`, 50);
+    add(`-${formatReceiptAmount(order.discount, currency)}`, 420);
+  }
+  y -= 10;
+  lines.push({ rule: y });
+  y -= 18;
+  add('Total paid', 50, { bold: true });
+  add(formatReceiptAmount(paid, currency), 420, { bold: true });
+
+  y -= 40;
+  for (const [label, value] of [
+    ['Order reference', order.reference],
+    ['Payment method', method],
+    ['Status', order.state === 'refunded'
+      ? `Refunded (${formatReceiptAmount(order.refundedAmount ?? paid, currency)} on ${formatEmailDate(order.refundedAt, 'en')})`
+      : order.refundedAmount
+        ? `Paid, partially refunded (${formatReceiptAmount(order.refundedAmount, currency)} by ${formatEmailDate(order.lastRefundAt, 'en')})`
+        : 'Paid']
+  ]) {
+    add(label, 50, { bold: true });
+    add(value, 170);
+    y -= 16;
+  }
+
+  y = 60;
+  add(`Thank you for your purchase. Questions? Contact ${SELLER_EMAIL || SELLER_NAME} quoting ${order.receiptNumber}.`, 50, { size: 9 });
+
+  return {
+    filename: `receipt-${order.receiptNumber}.pdf`,
+    content: buildPdf(lines, `Receipt ${order.receiptNumber}`),
+    contentType: 'application/pdf'
+  };
+}
+
+// --- Email transports ---
+// Each adapter implements:
+//   name               - config name used in EMAIL_TRANSPORTS
+//   init()             - set up the client, resolves true when ready
+//   send(message)      - message: { to, toName, subject, html, text, attachments? }, resolves { messageId, status }
+//                        attachments: [{ filename, content (Buffer), contentType }]
+// Delivery state (ready, lastSuccessAt, lastError) is tracked per transport for /api/health.
+
+// Initialize MailerSend client
+let mailerSend = null;
+
+// Test MailerSend connection on startup
+async function testMailerSendConnection() {
+  logger.info('Testing MailerSend connection', {
+    apiKey: MAILERSEND_API_KEY ? 'present' : 'missing',
+    fromEmail: FROM_EMAIL || null,
+    fromName: FROM_NAME || null
+  });
+
+  try {
+    if (!MAILERSEND_API_KEY) {
+      throw new Error('MAILERSEND_API_KEY is required - get it from MailerSend dashboard');
+    }
+
+    if (!FROM_EMAIL) {
+      throw new Error('FROM_EMAIL is required and must match your verified domain');
+    }
+
+    // Check if API key format looks correct
+    if (!MAILERSEND_API_KEY.startsWith('mlsn.')) {
+      logger.warn('MailerSend API key should start with "mlsn." - please verify it');
+    }
+
+    // Initialize MailerSend client
+    mailerSend = new MailerSend({
+      apiKey: MAILERSEND_API_KEY,
+    });
+
+    logger.info('MailerSend client initialized - FROM_EMAIL must match a domain verified in the MailerSend dashboard', { fromEmail: FROM_EMAIL });
+    return true;
+  } catch (error) {
+    logger.error('MailerSend setup failed - it will be skipped, other configured transports are still used', {
+      error: error.message,
+      checklist: [
+        'Create an account at https://mailersend.com',
+        'Add and verify your domain',
+        'Generate an API token from the domain settings',
+        'Set MAILERSEND_API_KEY in .env',
+        'Set FROM_EMAIL to match the verified domain'
+      ]
+    });
+    return false;
+  }
+}
+
+const mailerSendTransport = {
+  name: 'mailersend',
+  init: testMailerSendConnection,
+  async send({ to, toName, subject, html, text, attachments = [] }) {
+    if (!mailerSend) {
+      throw new Error('MailerSend client not initialized');
+    }
+
+    try {
+      const emailParams = new EmailParams()
+        .setFrom(new Sender(FROM_EMAIL, FROM_NAME))
+        .setTo([new Recipient(to, toName)])
+        .setSubject(subject)
+        .setHtml(html)
+        .setText(text);
+      if (attachments.length) {
+        emailParams.setAttachments(attachments.map(({ filename, content }) =>
+          new Attachment(content.toString('base64'), filename, 'attachment')));
+      }
+
+      // Send the email - MailerSend returns response with .body property
+      const response = await mailerSend.email.send(emailParams);
+
+      // MailerSend returns message ID in response headers
+      const messageId = response.headers ? response.headers['x-message-id'] : null;
+      logger.info('MailerSend accepted the email', { status: response.status || null, messageId });
+      return { messageId: messageId || 'sent', status: response.status };
+    } catch (error) {
+      // MailerSend errors have .body property
+      logger.error('MailerSend rejected the email', { status: error.status || null, body: error.body || null });
+      throw error;
+    }
+  }
+};
+
+let smtpTransporter = null;
+
+const smtpTransport = {
+  name: 'smtp',
+  async init() {
+    try {
+      if (!SMTP_HOST || !FROM_EMAIL) {
+        throw new Error('SMTP_HOST and FROM_EMAIL are required');
+      }
+
+      smtpTransporter = nodemailer.createTransport({
+        host: SMTP_HOST,
+        port: SMTP_PORT,
+        secure: SMTP_SECURE,
+        auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined
+      });
+      await smtpTransporter.verify();
+
+      logger.info('SMTP transport ready', { host: SMTP_HOST, port: SMTP_PORT });
+      return true;
+    } catch (error) {
+      logger.error('SMTP transport setup failed', { error: error.message });
+      smtpTransporter = null;
+      return false;
+    }
+  },
+  async send({ to, toName, subject, html, text, attachments = [] }) {
+    if (!smtpTransporter) {
+      throw new Error('SMTP transport not initialized');
+    }
+
+    const info = await smtpTransporter.sendMail({
+      from: { name: FROM_NAME, address: FROM_EMAIL },
+      to: toName ? { name: toName, address: to } : to,
+      subject,
+      html,
+      text,
+      attachments
+    });
+    return { messageId: info.messageId || 'sent', status: info.response };
+  }
+};
+
+let emailjsClient = null;
+
+const emailjsTransport = {
+  name: 'emailjs',
+  async init() {
+    try {
+      if (!EMAILJS_HOST || !FROM_EMAIL) {
+        throw new Error('EMAILJS_HOST (or SMTP_HOST) and FROM_EMAIL are required');
+      }
+
+      // emailjs is published as an ES module only
+      const { SMTPClient } = await import('emailjs');
+      emailjsClient = new SMTPClient({
+        host: EMAILJS_HOST,
+        port: EMAILJS_PORT,
+        ssl: EMAILJS_SSL,
+        tls: !EMAILJS_SSL,
+        user: EMAILJS_USER,
+        password: EMAILJS_PASSWORD
+      });
+
+      logger.info('emailjs transport ready', { host: EMAILJS_HOST, port: EMAILJS_PORT });
+      return true;
+    } catch (error) {
+      logger.error('emailjs transport setup failed', { error: error.message });
+      emailjsClient = null;
+      return false;
+    }
+  },
+  async send({ to, toName, subject, html, text, attachments = [] }) {
+    if (!emailjsClient) {
+      throw new Error('emailjs transport not initialized');
+    }
+
+    const message = await emailjsClient.sendAsync({
+      from: `${FROM_NAME} <${FROM_EMAIL}>`,
+      to: toName ? `${toName} <${to}>` : to,
+      subject,
+      text,
+      attachment: [
+        { data: html, alternative: true },
+        ...attachments.map(({ filename, content, contentType }) =>
+          ({ data: content.toString('base64'), encoded: true, type: contentType, name: filename }))
+      ]
+    });
+    return { messageId: message.header?.['message-id'] || 'sent', status: 'sent' };
+  }
+};
+
+// Records the email for GET /api/admin/sandbox/outbox instead of sending it
+const sandboxTransport = {
+  name: 'sandbox',
+  async init() {
+    logger.info('Sandbox email transport ready (emails are recorded, not sent)');
+    return true;
+  },
+  async send({ to, toName, subject, html, text, attachments = [] }) {
+    const entry = recordSandboxCall('email', 'send', {
+      request: {
+        to,
+        toName,
+        subject,
+        text,
+        html,
+        attachments: attachments.map(({ filename, contentType, content }) => ({ filename, contentType, size: content.length }))
+      }
+    });
+    return { messageId: `sandbox-${entry.id}`, status: 'recorded' };
+  }
+};
+
+const availableTransports = {
+  mailersend: mailerSendTransport,
+  smtp: smtpTransport,
+  emailjs: emailjsTransport,
+  sandbox: sandboxTransport
+};
+
+// Configured transports in failover order, with their delivery state
+const emailTransports = [];
+const TRANSPORT_REINIT_MS = 5 * 60 * 1000; // Retry a failed init (e.g. SMTP down at boot) at most this often
+
+async function initTransport(entry) {
+  entry.ready = await entry.transport.init();
+  entry.initializedAt = Date.now();
+  return entry.ready;
+}
+
+async function initEmailTransports() {
+  emailTransports.length = 0;
+  for (const name of EMAIL_TRANSPORTS) {
+    const transport = availableTransports[name];
+    if (!transport) {
+      logger.warn('Unknown email transport in EMAIL_TRANSPORTS - ignored', { transport: name });
+      continue;
+    }
+    emailTransports.push({ transport, ready: false, initializedAt: 0, lastSuccessAt: null, lastError: null });
+  }
+
+  for (const entry of emailTransports) {
+    await initTransport(entry);
+  }
+
+  const ready = emailTransports.filter(entry => entry.ready).map(entry => entry.transport.name);
+  if (ready.length) {
+    logger.info('Email transports ready', { transports: ready });
+  } else {
+    logger.error('No email transport is ready - emails will NOT be sent');
+  }
+}
+
+function emailTransportStatus() {
+  return emailTransports.map(({ transport, ready, lastSuccessAt, lastError }) => ({
+    name: transport.name,
+    ready,
+    lastSuccessAt,
+    lastError
+  }));
+}
+
+// Send through each ready transport in order until one succeeds
+async function deliverEmail(message) {
+  const attempts = [];
+
+  for (const entry of emailTransports) {
+    if (!entry.ready && Date.now() - entry.initializedAt > TRANSPORT_REINIT_MS) {
+      await initTransport(entry);
+    }
+    if (!entry.ready) continue;
+    const { name } = entry.transport;
+
+    try {
+      logger.info('Trying email transport', { transport: name });
+      const result = await entry.transport.send(message);
+      metrics.emailsSent.inc({ transport: name, outcome: 'success' });
+      entry.lastSuccessAt = new Date().toISOString();
+      attempts.push({ provider: name, success: true });
+      return { ...result, provider: name, attempts };
+    } catch (error) {
+      metrics.emailsSent.inc({ transport: name, outcome: 'failure' });
+      logger.error('Email transport failed', { transport: name, error: error.message });
+      entry.lastError = { message: error.message, at: new Date().toISOString() };
+      attempts.push({ provider: name, success: false, error: error.message });
+    }
+  }
+
+  const error = new Error(attempts.length
+    ? 'All email transports failed'
+    : 'No email transport is configured and ready');
+  error.attempts = attempts;
+  throw error;
+}
+
+// --- Email templates ---
+// A template is JSON: { "subject": "...", "html": "..." | [lines], "text": "..." | [lines] }.
+// {{var}} is HTML-escaped in the html part, {{{var}}} is inserted as-is; subject and text
+// are plain text and never escaped. {{#var}}...{{/var}} is only kept when var is set (an
+// optional line, like the receipt link). Lookup falls back from the product's own template to
+// "default", and from the customer's language to DEFAULT_LANGUAGE.
+const EMAIL_TYPES = ['purchase', 'resend', 'refund', 'partialrefund', 'abandoned'];
+const emailTemplates = new Map(); // "<scope>/<type>.<language>" -> template
+
+// Escaping for HTML bodies (attributes included), stricter than the Telegram `esc`
+const escHtml = (s = '') => esc(s).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+// Main language per country where it isn't English
+const COUNTRY_LANGUAGES = {
+  FR: 'fr', BE: 'fr', CH: 'fr', LU: 'fr', MC: 'fr', CA: 'en',
+  CI: 'fr', SN: 'fr', BJ: 'fr', TG: 'fr', BF: 'fr', ML: 'fr', NE: 'fr', GN: 'fr',
+  CM: 'fr', GA: 'fr', CG: 'fr', CD: 'fr', CF: 'fr', TD: 'fr', MG: 'fr', RW: 'fr', BI: 'fr', DJ: 'fr'
+};
+
+function loadEmailTemplates() {
+  emailTemplates.clear();
+  if (!fs.existsSync(EMAIL_TEMPLATES_DIR)) {
+    throw new Error(`Email templates directory not found: ${EMAIL_TEMPLATES_DIR}`);
+  }
+
+  for (const scope of fs.readdirSync(EMAIL_TEMPLATES_DIR)) {
+    const dir = path.join(EMAIL_TEMPLATES_DIR, scope);
+    if (!fs.statSync(dir).isDirectory()) continue;
+
+    for (const file of fs.readdirSync(dir)) {
+      const match = file.match(/^([a-z]+)\.([a-z]{2}(?:-[a-z]{2})?)\.json$/i);
+      if (!match || !EMAIL_TYPES.includes(match[1])) continue;
+
+      const template = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      const join = (part) => Array.isArray(part) ? part.join('\n') : String(part || '');
+      emailTemplates.set(`${scope}/${match[1]}.${match[2].toLowerCase()}`, {
+        subject: join(template.subject),
+        html: join(template.html),
+        text: join(template.text)
+      });
+    }
+  }
+
+  for (const type of EMAIL_TYPES) {
+    if (!emailTemplates.has(`default/${type}.${DEFAULT_LANGUAGE}`)) {
+      throw new Error(`Missing default email template: default/${type}.${DEFAULT_LANGUAGE}.json`);
+    }
+  }
+  logger.info('Email templates loaded', { templates: emailTemplates.size, dir: EMAIL_TEMPLATES_DIR });
+}
+
+// "fr-CA" -> "fr"; falls back to the country's language, then DEFAULT_LANGUAGE
+function pickLanguage({ locale, country } = {}) {
+  const fromLocale = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  if (/^[a-z]{2}$/.test(fromLocale)) return fromLocale;
+  return COUNTRY_LANGUAGES[String(country || '').toUpperCase()] || DEFAULT_LANGUAGE;
+}
+
+function resolveEmailTemplate(type, { productId, language = DEFAULT_LANGUAGE } = {}) {
+  const candidates = [
+    productId && `${productId}/${type}.${language}`,
+    `default/${type}.${language}`,
+    productId && `${productId}/${type}.${DEFAULT_LANGUAGE}`,
+    `default/${type}.${DEFAULT_LANGUAGE}`
+  ].filter(Boolean);
+
+  for (const key of candidates) {
+    if (emailTemplates.has(key)) return { key, template: emailTemplates.get(key) };
+  }
+  throw new Error(`No email template for ${type}`);
+}
+
+function renderTemplateString(source, vars, escape) {
+  return source
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}(\n?)/g, (match, name, body, newline) => (vars[name] ? body + newline : ''))
+    .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (match, name) => String(vars[name] ?? ''))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => escape(vars[name] ?? ''));
+}
+
+function renderEmail(type, { productId, language, vars }) {
+  const { key, template } = resolveEmailTemplate(type, { productId, language });
+  const plain = (value) => String(value);
+  return {
+    template: key,
+    subject: renderTemplateString(template.subject, vars, plain),
+    html: renderTemplateString(template.html, vars, escHtml),
+    text: renderTemplateString(template.text, vars, plain)
+  };
+}
+
+function formatEmailDate(iso, language = DEFAULT_LANGUAGE) {
+  if (!iso) return '';
+  try {
+    return new Date(iso).toLocaleString(language, { dateStyle: 'long', timeStyle: 'short', timeZone: BUSINESS_TIMEZONE });
+  } catch (error) {
+    return new Date(iso).toUTCString();
+  }
+}
+
+// Download email (purchase confirmation or resend), delivered through the configured transports
+async function sendDownloadEmailMailerSend({
+  fullName,
+  email,
+  downloadUrl,
+  linkExpiresAt,
+  reference,
+  courseTitle,
+  productId,
+  language = DEFAULT_LANGUAGE,
+  type = 'purchase',
+  receipt = null,
+  receiptNumber = '',
+  receiptUrl = ''
+}) {
+  logger.info('Sending download email', { reference, type, email, fullName });
+
+  try {
+    const safeName = (fullName || 'there').trim();
+    const content = renderEmail(type, {
+      productId,
+      language,
+      vars: {
+        name: safeName,
+        courseTitle,
+        downloadUrl,
+        reference,
+        linkExpiresAt: formatEmailDate(linkExpiresAt, language),
+        receiptNumber,
+        receiptUrl
+      }
+    });
+
+    const result = await deliverEmail({
+      to: email,
+      toName: safeName,
+      subject: content.subject,
+      html: content.html,
+      text: content.text,
+      attachments: receipt ? [receipt] : []
+    });
+
+    logger.info('Download email sent', { reference, provider: result.provider, template: content.template });
+
+    return {
+      success: true,
+      messageId: result.messageId,
+      status: result.status,
+      provider: result.provider,
+      template: content.template,
+      attempts: result.attempts
+    };
+  } catch (error) {
+    logger.error('Download email failed', { reference, error: error.message, attempts: error.attempts });
+    throw error; // Re-throw to handle in calling function
+  }
+}
+
+// Refund notice to the customer, delivered through the configured transports
+// A partial refund (totalRefunded below paidAmount) uses the "partialrefund" template
+async function sendRefundEmail({ fullName, email, reference, amount, currency, courseTitle, productId, partial = false, totalRefunded = amount, paidAmount = amount, language = DEFAULT_LANGUAGE }) {
+  logger.info('Sending refund notice', { reference, email, partial });
+
+  const safeName = (fullName || 'there').trim();
+  const content = renderEmail(partial ? 'partialrefund' : 'refund', {
+    productId,
+    language,
+    vars: { name: safeName, courseTitle, reference, amount, currency, totalRefunded, paidAmount }
+  });
+
+  const result = await deliverEmail({
+    to: email,
+    toName: safeName,
+    subject: content.subject,
+    html: content.html,
+    text: content.text
+  });
+  logger.info('Refund notice sent', { reference, provider: result.provider, template: content.template });
+  return { success: true, messageId: result.messageId, provider: result.provider };
+}
+
+// Sample variables for previews and test sends
+function sampleEmailVars(product, overrides = {}) {
+  const language = overrides.language || DEFAULT_LANGUAGE;
+  return {
+    name: 'Ada Lovelace',
+    courseTitle: product?.title || COURSE_TITLE,
+    downloadUrl: `${PUBLIC_BASE_URL}/api/download/sample-token`,
+    reference: `TEST_${Date.now()}`,
+    linkExpiresAt: formatEmailDate(new Date(Date.now() + DOWNLOAD_LINK_TTL_HOURS * 3600 * 1000).toISOString(), language),
+    amount: product?.price ?? 0,
+    totalRefunded: product?.price ?? 0,
+    paidAmount: product?.price ?? 0,
+    currency: product?.currency || 'NGN',
+    checkoutUrl: `${PUBLIC_BASE_URL}/api/checkout/resume/sample-token`,
+    unsubscribeUrl: `${PUBLIC_BASE_URL}/api/unsubscribe/sample-token`,
+    receiptNumber: `${RECEIPT_NUMBER_PREFIX}000001`,
+    receiptUrl: `${PUBLIC_BASE_URL}/api/receipt/sample-token`,
+    ...overrides
+  };
+}
+
+// Only send buyers back to a site we know about. Without a CORS_ORIGINS allowlist the page that
+// started the checkout (its Origin) is used, as before; with neither there is no page to return to.
+function checkoutCallbackUrl(origin) {
+  const base = CORS_ORIGINS.length ? (CORS_ORIGINS.includes(origin) ? origin : CORS_ORIGINS[0]) : origin;
+  return base ? `${base}/paycomplete.html` : null;
+}
+
+// Open a transaction with the product's payment provider and record the 'initialized' order.
+// Resolves { reference, provider, checkout, amount }, or { error, status } when it cannot start.
+async function startCheckout({ product, pricing, couponCode = null, discount = 0, referralCode = null, email, fullName, gclid, ipAddress = null, country = null, locale = null, callbackUrl, fields = {} }) {
+  const amount = (toMinorUnits(pricing.price) - toMinorUnits(discount)) / 100;
+  if (!(amount > 0)) {
+    return { error: 'This coupon cannot be used on this product', status: 400 };
+  }
+  if (!callbackUrl) {
+    logger.error('No payment return page: set CORS_ORIGINS or start checkouts from the site', { productId: product.id });
+    return { error: 'Payments are not available right now', status: 503 };
+  }
+
+  const provider = providerForCheckout(product, pricing.currency);
+  if (!provider?.configured()) {
+    logger.error('No usable payment provider', { productId: product.id, currency: pricing.currency });
+    return { error: 'Payments are not available for this product right now', status: 503 };
+  }
+
+  // Generate unique reference
+  const reference = `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  const checkout = await provider.initialize({
+    reference,
+    email,
+    fullName,
+    amount,
+    currency: pricing.currency,
+    metadata: {
+      full_name: fullName,
+      product_id: product.id,
+      gclid: gclid || 'direct',
+      buyer_country: country || undefined,
+      coupon_code: couponCode || undefined,
+      discount: couponCode ? discount : undefined,
+      referral_code: referralCode || undefined
+    },
+    callbackUrl
+  });
+  if (!checkout) {
+    return { error: 'Failed to initialize payment', status: 400 };
+  }
+
+  metrics.paymentsInitialized.inc({ provider: provider.name });
+  recordOrder(reference, {
+    state: 'initialized',
+    provider: provider.name,
+    email,
+    fullName,
+    productId: product.id,
+    amount,
+    originalAmount: pricing.price,
+    couponCode,
+    discount,
+    referralCode,
+    currency: pricing.currency,
+    gclid: gclid || 'direct',
+    ipAddress,
+    country,
+    locale: locale || null,
+    callbackUrl,
+    ...fields
+  });
+  return { reference, provider, checkout, amount };
+}
+
+// Initialize a checkout with the product's payment provider
+app.post('/api/initialize-payment', limitByIp('initialize-payment'), validate({
+    body: {
+        email: { type: 'email', required: true },
+        fullName: { type: 'string', required: true, max: 100 },
+        productId: { type: 'string', max: 64 },
+        gclid: { type: 'string', max: 200 },
+        couponCode: { type: 'string', max: 40 },
+        referralCode: { type: 'string', max: 40 },
+        locale: { type: 'string', pattern: LOCALE_PATTERN }
+    }
+}), limitByEmail('initialize-payment'), async (req, res) => {
+    try {
+        const { email, fullName, productId, gclid, couponCode, referralCode, locale } = req.body;
+
+        // The price always comes from the catalog, never from the browser
+        const product = getProduct(productId);
+        if (!product || !(product.price > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown product'
+            });
+        }
+
+        // Regional price for the buyer's country, located from their IP
+        const ipAddress = clientIp(req);
+        const country = lookupCountry(ipAddress);
+        const pricing = priceForCountry(product, country);
+
+        // Optional coupon, checked against the stored coupons
+        let coupon = null;
+        let discount = 0;
+        if (couponCode) {
+            const applied = applyCoupon(couponCode, { product, pricing, email });
+            if (applied.error) {
+                return res.status(400).json({ success: false, message: applied.error });
+            }
+            ({ coupon, discount } = applied);
+        }
+
+        // A stale or mistyped referral link should not cost the sale, so unknown codes are dropped
+        const affiliate = referralCode ? getAffiliate(referralCode) : null;
+        if (referralCode && !affiliate) {
+            logger.warn('Ignoring unknown referral code', { referralCode });
+        }
+
+        const started = await startCheckout({
+            product,
+            pricing,
+            couponCode: coupon ? coupon.code : null,
+            discount,
+            referralCode: affiliate ? affiliate.code : null,
+            email,
+            fullName,
+            gclid,
+            ipAddress,
+            country,
+            locale,
+            callbackUrl: checkoutCallbackUrl(req.headers.origin)
+        });
+        if (started.error) {
+            return res.status(started.status).json({ success: false, message: started.error });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                authorization_url: started.checkout.authorizationUrl,
+                access_code: started.checkout.accessCode,
+                provider: started.provider.name,
+                reference: started.reference,
+                amount: started.amount,
+                currency: pricing.currency,
+                discount
+            }
+        });
+    } catch (error) {
+        logger.error('Payment initialization error', { error: error.response?.data || error.message });
+        res.status(500).json({
+            success: false,
+            message: 'Server error during payment initialization',
+            error: error.message
+        });
+    }
+});
+
+// Verify a transaction with the provider that took it (the order knows; `?provider=` otherwise).
+// `data` stays the gateway's own transaction (for Paystack: amount in kobo, customer, metadata) as
+// existing frontends expect; `payment` is the normalized payment (amount in major units).
+app.get('/api/verify-payment/:reference', limitByIp('verify-payment'), validate({
+    params: { reference: { type: 'reference', required: true } },
+    query: { provider: { type: 'string', enum: PAYMENT_PROVIDERS } }
+}), async (req, res) => {
+    try {
+        const { reference } = req.params;
+        const provider = getPaymentProvider(getOrder(reference)?.provider || req.query.provider);
+
+        const payment = await provider.verify(reference);
+        if (payment?.status === 'success') {
+            const { raw, ...normalized } = payment;
+            res.json({
+                success: true,
+                data: raw,
+                payment: normalized
+            });
+        } else {
+            res.json({
+                success: false,
+                message: 'Payment verification failed'
+            });
+        }
+    } catch (error) {
+        logger.error('Payment verification error', { error: error.response?.data || error.message });
+        res.status(500).json({
+            success: false,
+            message: 'Server error during payment verification',
+            error: error.message
+        });
+    }
+});
+
+// Conversion notifications are sent server-side by handleSuccessfulPayment; this public
+// endpoint let anyone post to the team chat and is kept only to tell old frontends so.
+app.post('/api/send-telegram-notification', (req, res) => {
+    res.status(410).json({
+        success: false,
+        message: 'Removed: Telegram notifications are sent by the server after payment verification'
+    });
+});
+
+// --- Post-payment side effects, run through the job queue ---
+const jobHandlers = {
+  'telegram.conversion': {
+    async run({ reference, text }) {
+      logger.info('Sending Telegram notification', { reference });
+      await sendTelegramMessage(text);
+
+      // Email may already have gone out; never move the order back from 'emailed'
+      const order = getOrder(reference);
+      const state = ['verified', 'failed'].includes(order?.state) ? 'notified' : undefined;
+      recordOrder(reference, { state, notifiedAt: new Date().toISOString(), note: 'Telegram notification sent' });
+      logger.info('Telegram notification sent', { reference });
+      return { sent: true };
+    }
+  },
+  'email.download': {
+    async run({ reference, email, fullName, productId, resend = false }) {
+      const order = getOrder(reference);
+      if (order?.state === 'refunded' || order?.revokedAt) {
+        recordOrder(reference, { note: 'Download email skipped: access revoked' });
+        return { skipped: true };
+      }
+      if (order?.state === 'fulfilled' && !resend) {
+        recordOrder(reference, { note: 'Download email skipped: order was fulfilled manually' });
+        return { skipped: true };
+      }
+
+      // Fresh signed link on every attempt so a late retry never sends an expired one
+      const product = getProduct(productId);
+      const downloadLink = createDownloadLink(reference);
+      // The PDF receipt goes with every download email for a verified payment
+      const receipt = order?.verifiedAt ? renderReceipt(order) : null;
+      const emailResult = await sendDownloadEmailMailerSend({
+        fullName,
+        email,
+        downloadUrl: downloadLink.url,
+        linkExpiresAt: downloadLink.expiresAt,
+        reference,
+        courseTitle: product?.title || COURSE_TITLE,
+        productId: product?.id,
+        language: pickLanguage(order || {}),
+        type: resend ? 'resend' : 'purchase',
+        receipt,
+        receiptNumber: receipt ? getOrder(reference).receiptNumber : '',
+        receiptUrl: receipt ? createReceiptLink(reference) : ''
+      });
+
+      recordOrder(reference, {
+        state: 'emailed',
+        emailedAt: new Date().toISOString(),
+        messageId: emailResult.messageId,
+        emailProvider: emailResult.provider,
+        downloadLinkExpiresAt: downloadLink.expiresAt
+      });
+      if (!resend) metrics.paymentsFulfilled.inc({ provider: order?.provider || 'paystack' });
+      return { messageId: emailResult.messageId, provider: emailResult.provider };
+    },
+    onDead({ reference }, error) {
+      const order = recordOrder(reference, { state: 'failed', note: `Download email gave up: ${error.message}` });
+      metrics.paymentsFailed.inc({ provider: order.provider || 'paystack', reason: 'fulfilment' });
+      emitWebhookEvent('email.failed', { ...orderEventData(order), emailType: 'download', error: error.message });
+    }
+  },
+  'telegram.refund': {
+    async run({ text }) {
+      await sendTelegramMessage(text);
+      return { sent: true };
+    }
+  },
+  'telegram.dispute': {
+    async run({ text }) {
+      await sendTelegramMessage(text);
+      return { sent: true };
+    }
+  },
+  'email.refund': {
+    async run({ reference, email, fullName, amount, currency, productId, partial, totalRefunded, paidAmount }) {
+      const result = await sendRefundEmail({
+        fullName,
+        email,
+        reference,
+        amount,
+        currency,
+        partial,
+        totalRefunded,
+        paidAmount,
+        courseTitle: getProduct(productId)?.title || COURSE_TITLE,
+        productId,
+        language: pickLanguage(getOrder(reference) || {})
+      });
+      recordOrder(reference, { note: `Refund notice emailed via ${result.provider}` });
+      return { messageId: result.messageId, provider: result.provider };
+    },
+    onDead({ reference }, error) {
+      const order = getOrder(reference);
+      if (order) emitWebhookEvent('email.failed', { ...orderEventData(order), emailType: 'refund', error: error.message });
+    }
+  }
+};
+
+// --- Outbound webhooks to other systems (LMS, CRM, spreadsheets...) ---
+// WEBHOOK_SUBSCRIBERS_FILE (default DATA_DIR/webhook-subscribers.json) is an array of:
+//   { "id": "lms", "url": "https://lms.example.com/hooks/sales", "secret": "whsec_...",
+//     "events": ["order.paid", "order.refunded"], "active": true }   // "events": ["*"] for all
+// Each delivery is a job, so it retries with the queue's backoff; every attempt is logged to
+// webhook-deliveries.jsonl. The body is signed as HMAC-SHA256("<timestamp>.<body>") with the
+// subscriber's secret and sent as `X-Webhook-Signature: t=<timestamp>,v1=<hex>`.
+const OUTBOUND_EVENTS = ['order.paid', 'order.partially_refunded', 'order.refunded', 'email.failed'];
+const WEBHOOK_PAYLOAD_VERSION = 1;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const webhookSubscribers = new Map();
+const webhookDeliveryAttempts = new Map(); // job id -> attempts
+
+function loadWebhookSubscribers() {
+  webhookSubscribers.clear();
+  if (fs.existsSync(WEBHOOK_SUBSCRIBERS_FILE)) {
+    const list = JSON.parse(fs.readFileSync(WEBHOOK_SUBSCRIBERS_FILE, 'utf8'));
+    if (!Array.isArray(list)) throw new Error(`${WEBHOOK_SUBSCRIBERS_FILE} must contain an array of subscribers`);
+
+    for (const subscriber of list) {
+      const events = Array.isArray(subscriber.events) ? subscriber.events : [];
+      const unknown = events.filter(event => event !== '*' && !OUTBOUND_EVENTS.includes(event));
+      if (!subscriber.id || !/^https?:\/\//.test(subscriber.url || '') || !subscriber.secret || !events.length || unknown.length) {
+        logger.warn('Skipping invalid webhook subscriber', { subscriberId: subscriber.id || null, url: subscriber.url || null });
+        continue;
+      }
+      webhookSubscribers.set(String(subscriber.id), { ...subscriber, id: String(subscriber.id), events, active: subscriber.active !== false });
+    }
+  }
+
+  for (const attempt of readJsonLines(WEBHOOK_DELIVERIES_FILE, 'Webhook deliveries')) {
+    if (!webhookDeliveryAttempts.has(attempt.deliveryId)) webhookDeliveryAttempts.set(attempt.deliveryId, []);
+    webhookDeliveryAttempts.get(attempt.deliveryId).push(attempt);
+  }
+  logger.info('Webhook subscribers loaded', { subscribers: webhookSubscribers.size });
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// What subscribers get to know about an order
+function orderEventData(order) {
+  return {
+    reference: order.reference,
+    state: order.state,
+    productId: order.productId,
+    email: order.email,
+    fullName: order.fullName,
+    amount: order.paidAmount ?? order.amount,
+    currency: order.currency,
+    provider: order.provider || 'paystack',
+    couponCode: order.couponCode || null,
+    discount: order.discount || 0,
+    referralCode: order.referralCode || null,
+    country: order.country || null,
+    gclid: order.gclid || 'direct',
+    verifiedAt: order.verifiedAt || null,
+    refundedAt: order.refundedAt || null,
+    refundedAmount: order.refundedAmount ?? null
+  };
+}
+
+// Queue one delivery per interested subscriber; never blocks or fails the caller
+function emitWebhookEvent(type, data) {
+  const event = {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type,
+    version: WEBHOOK_PAYLOAD_VERSION,
+    createdAt: new Date().toISOString(),
+    data
+  };
+
+  for (const subscriber of webhookSubscribers.values()) {
+    if (!subscriber.active || !(subscriber.events.includes('*') || subscriber.events.includes(type))) continue;
+    const { job } = enqueueJob('webhook.deliver', `${subscriber.id}:${event.id}`, { subscriberId: subscriber.id, event }, data.reference || null);
+    runJob(job).catch(error => logger.error('Webhook delivery crashed', { subscriberId: subscriber.id, error: error.message }));
+  }
+  return event;
+}
+
+jobHandlers['webhook.deliver'] = {
+  async run({ subscriberId, event }, job) {
+    const subscriber = webhookSubscribers.get(subscriberId);
+    if (!subscriber) throw new Error(`Unknown webhook subscriber ${subscriberId}`);
+
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = {
+      deliveryId: job.id,
+      subscriberId,
+      eventId: event.id,
+      event: event.type,
+      attempt: job.attempts + 1,
+      at: new Date().toISOString()
+    };
+    const started = Date.now();
+
+    try {
+      // Sandbox deliveries are recorded for GET /api/admin/sandbox/outbox, never POSTed
+      if (SANDBOX_MODE) {
+        recordSandboxCall('webhook', `deliver ${event.type}`, { request: { subscriberId, url: subscriber.url, event } });
+        Object.assign(attempt, { success: true, status: 200, durationMs: Date.now() - started });
+        return { status: 200, sandbox: true };
+      }
+
+      const response = await axios.post(subscriber.url, body, {
+        timeout: WEBHOOK_TIMEOUT_MS,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'digital-course-backend-webhooks/1',
+          'X-Webhook-Id': event.id,
+          'X-Webhook-Event': event.type,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `t=${timestamp},v1=${signWebhookPayload(subscriber.secret, timestamp, body)}`
+        }
+      });
+      Object.assign(attempt, { success: true, status: response.status, durationMs: Date.now() - started });
+      return { status: response.status };
+    } catch (error) {
+      Object.assign(attempt, {
+        success: false,
+        status: error.response?.status || null,
+        durationMs: Date.now() - started,
+        error: error.message
+      });
+      throw error;
+    } finally {
+      appendJsonLine(WEBHOOK_DELIVERIES_FILE, attempt);
+      if (!webhookDeliveryAttempts.has(job.id)) webhookDeliveryAttempts.set(job.id, []);
+      webhookDeliveryAttempts.get(job.id).push(attempt);
+      metrics.webhookDeliveries.inc({ subscriber: subscriberId, outcome: attempt.success ? 'success' : 'failure' });
+    }
+  }
+};
+
+// --- Fulfilments currently running, so a webhook and the frontend racing on one reference share the work ---
+const inFlightOrders = new Map();
+
+// --- Shared processor: record the verified payment, queue Telegram + email, run them once ---
+// Idempotency comes from the order store and the job queue: each side effect is queued once
+// per reference, so a retry (webhook redelivery, paycomplete.html reload, restart) never
+// repeats work that already happened. Failed side effects are retried by the job worker.
+function handleSuccessfulPayment(payment) {
+    const { reference } = payment;
+
+    if (inFlightOrders.has(reference)) {
+        logger.info('Payment already being processed (joining in-flight run)', { reference });
+        return inFlightOrders.get(reference).then(result => ({ ...result, alreadyProcessed: true }));
+    }
+
+    const run = fulfilOrder(payment).finally(() => inFlightOrders.delete(reference));
+    inFlightOrders.set(reference, run);
+    return run;
+}
+
+// `payment` is a normalized payment (see "Payment providers"); the buyer's name and gclid may be
+// overridden by the caller. The email is always the provider's: an email the buyer typed on the
+// payment page (`clientEmail`) is only kept beside it, never used for delivery or lookups.
+async function fulfilOrder({
+    provider = 'paystack',
+    transactionId = null,
+    reference,
+    email,
+    fullName,
+    amount,
+    currency = 'NGN',
+    productId,
+    couponCode,
+    referralCode,
+    gclid = 'direct',
+    ipAddress = null,
+    cardCountry = null,
+    channel = null,
+    paidAt = null,
+    clientEmail = null
+}) {
+    logger.info('Processing payment', { reference, provider, amount, currency, email, fullName });
+
+    const existing = getOrder(reference);
+    if (existing && clientEmail && clientEmail.toLowerCase() !== String(email).toLowerCase() && existing.clientEmail !== clientEmail) {
+        recordOrder(reference, { clientEmail, note: `Payment page sent a different email (${clientEmail}); kept ${email}` });
+    }
+    if (existing?.state === 'emailed' || existing?.state === 'fulfilled') {
+        logger.info('Payment already processed (duplicate prevented)', { reference });
+        return { alreadyProcessed: true, emailSent: true };
+    }
+    if (existing?.state === 'refunded') {
+        logger.info('Order was refunded - not fulfilling', { reference });
+        return { alreadyProcessed: true, emailSent: false };
+    }
+
+    // Only fulfil when the verified payment matches the catalog price for the product.
+    // The discount recorded at initialization wins; a coupon that only appears in the provider's
+    // metadata is re-derived from the coupon definition so it cannot claim an arbitrary amount.
+    const product = getProduct(productId || existing?.productId);
+    const initializedHere = existing?.originalAmount !== undefined;
+    const pricing = initializedHere
+        ? { price: existing.originalAmount, currency: existing.currency }
+        : product && priceForCurrency(product, currency);
+    const appliedCoupon = initializedHere ? existing.couponCode : normalizeCouponCode(couponCode) || null;
+    const discount = initializedHere
+        ? Number(existing.discount) || 0
+        : couponDiscount(coupons.get(appliedCoupon), product, pricing);
+    const affiliateCode = initializedHere ? existing.referralCode || null : getAffiliate(referralCode)?.code || null;
+    const mismatch = checkPaymentAgainstProduct(product, { amount, currency, discount, pricing });
+    if (mismatch) {
+        logger.error('Not fulfilling payment', { reference, reason: mismatch });
+        metrics.paymentsFailed.inc({ provider, reason: 'price_mismatch' });
+        recordOrder(reference, {
+            state: 'failed',
+            email,
+            fullName,
+            paidAmount: amount,
+            currency,
+            note: mismatch
+        });
+        return { alreadyProcessed: false, emailSent: false, rejected: true, reason: mismatch };
+    }
+
+    // Country comes from geoip on the buyer's IP (as seen at checkout when we have it)
+    const buyerIp = existing?.ipAddress || ipAddress;
+    const country = existing?.country || lookupCountry(buyerIp);
+    const countryMismatch = Boolean(cardCountry && country && cardCountry.toUpperCase() !== country);
+
+    if (!existing?.verifiedAt) {
+        recordOrder(reference, {
+            state: 'verified',
+            provider,
+            transactionId,
+            email,
+            fullName,
+            productId: product.id,
+            paidAmount: amount,
+            originalAmount: pricing.price,
+            currency,
+            couponCode: discount ? appliedCoupon : null,
+            discount,
+            referralCode: affiliateCode,
+            gclid,
+            ipAddress: buyerIp,
+            country,
+            cardCountry,
+            countryMismatch,
+            channel,
+            paidAt: paidAt || new Date().toISOString(),
+            verifiedAt: new Date().toISOString(),
+            note: countryMismatch ? `Card issued in ${cardCountry}, buyer located in ${country}` : undefined
+        });
+        metrics.paymentsVerified.inc({ provider });
+        ensureReceiptNumber(getOrder(reference));
+        emitWebhookEvent('order.paid', orderEventData(getOrder(reference)));
+    }
+
+    // The coupon only counts as used now that the payment is confirmed
+    if (discount) {
+        recordCouponRedemption({ code: appliedCoupon, email, reference, discount });
+    }
+    if (affiliateCode) {
+        recordCommission({ code: affiliateCode, reference, email, amount, currency });
+    }
+
+    // 1) Telegram notification (HTML + escaped values)
+    // The verification time is the conversion time, also used by the Google Ads export
+    const conversionTime = getOrder(reference).verifiedAt;
+    const message = [
+        '🎉 <b>NEW CONVERSION</b> 🎉',
+        '',
+        '<b>Customer Details:</b>',
+        `Full Name: ${esc(fullName)}`,
+        `Email: ${esc(email)}`,
+        '',
+        '<b>Transaction Details:</b>',
+        `Amount: ${esc(`${currency} ${amount}`)}`,
+        `Product: ${esc(product.title)}`,
+        ...(discount ? [`Coupon: ${esc(appliedCoupon)} (-${esc(`${currency} ${discount}`)})`] : []),
+        ...(affiliateCode ? [`Referred by: ${esc(affiliateCode)}`] : []),
+        `Reference: ${esc(reference)}`,
+        `Country (IP): ${esc(country || 'Unknown')}`,
+        `Card Country: ${esc(cardCountry || 'N/A')}${countryMismatch ? ' ⚠️ <b>MISMATCH</b>' : ''}`,
+        `IP Address: ${esc(buyerIp || 'N/A')}`,
+        '',
+        '<b>Google Ads Data:</b>',
+        `GCLID: ${esc(gclid)}`,
+        `Conversion Time: ${esc(conversionTime)}`,
+        '',
+        '<b>For Google Ads Upload:</b>',
+        `<pre>GCLID: ${esc(gclid)}
+Conversion Name: Purchase
+Conversion Time: ${esc(conversionTime)}
+Conversion Value: ${esc(String(amount))}
+Conversion Currency: ${esc(currency)}</pre>`
+    ].join('\n');
+    const telegramJob = enqueueJob('telegram.conversion', reference, { reference, text: message }, reference);
+
+    // 2) Per-order signed download link via the email transports
+    const emailJob = enqueueJob('email.download', reference, {
+        reference,
+        email,
+        fullName,
+        productId: product.id
+    }, reference);
+
+    if (!telegramJob.created && !emailJob.created) {
+        logger.info('Side effects already queued for this payment (duplicate prevented)', { reference });
+        return { alreadyProcessed: true, emailSent: emailJob.job.status === 'done' };
+    }
+
+    // Run both now; anything that fails stays queued for the worker to retry
+    const [, emailOutcome] = await Promise.all([runJob(telegramJob.job), runJob(emailJob.job)]);
+    const emailSent = emailOutcome.status === 'done';
+    logger.info(emailSent
+        ? 'Payment processing completed'
+        : 'Payment recorded - pending side effects will be retried in the background', { reference });
+
+    return {
+        alreadyProcessed: false,
+        emailSent,
+        messageId: emailOutcome.result?.messageId,
+        emailProvider: emailOutcome.result?.provider
+    };
+}
+
+// --- New: Orchestrator endpoint the frontend calls from paycomplete.html ---
+app.post('/api/process-order', limitByIp('process-order'), validate({
+    body: {
+        email: { type: 'email', required: true },
+        fullName: { type: 'string', required: true, max: 100 },
+        reference: { type: 'reference', required: true },
+        gclid: { type: 'string', max: 200 },
+        provider: { type: 'string', enum: PAYMENT_PROVIDERS }
+    }
+}), limitByEmail('process-order'), async (req, res) => {
+    try {
+        const { email, fullName, reference, gclid } = req.body;
+        const provider = getPaymentProvider(getOrder(reference)?.provider || req.body.provider);
+
+        // Verify the transaction status with the provider (required best-practice)
+        const payment = await provider.verify(reference);
+        if (payment?.status !== 'success') {
+            return res.status(400).json({ success: false, message: 'Verification failed' });
+        }
+
+        const result = await handleSuccessfulPayment({
+            ...payment,
+            email: payment.email || email,
+            clientEmail: email,
+            fullName,
+            gclid: gclid || payment.gclid,
+            ipAddress: payment.ipAddress || clientIp(req)
+        });
+
+        if (result.rejected) {
+            return res.status(400).json({ success: false, message: 'Payment does not match the product price' });
+        }
+
+        return res.json({
+            success: true,
+            message: result.alreadyProcessed ? 'Already processed' : 'Processed',
+            emailSent: result.emailSent || false
+        });
+    } catch (error) {
+        logger.error('process-order error', { error: error.response?.data || error.message });
+        return res.status(500).json({ 
+            success: false, 
+            message: 'Server error', 
+            error: error.message 
+        });
+    }
+});
+
+// --- Payment webhook event handlers (shared by live deliveries and admin replays) ---
+// Handlers receive the provider-neutral objects produced by normalizeWebhookEvent.
+async function handlePaymentSuccessEvent(payment) {
+  logger.info('Webhook received: payment successful', { provider: payment.provider, reference: payment.reference });
+
+  return handleSuccessfulPayment(payment);
+}
+
+async function handleRefundProcessedEvent(refund) {
+  const reference = refund.reference || referenceForTransaction(refund.provider, refund.transactionId);
+  logger.info('Webhook received: refund processed', { reference });
+
+  const order = getOrder(reference);
+  if (!order) {
+    logger.warn('Refund for unknown order - ignored', { reference });
+    return { ignored: true };
+  }
+  if (order.state === 'refunded') {
+    return { alreadyProcessed: true };
+  }
+  if (refund.refundId && (order.refundIds || []).includes(String(refund.refundId))) {
+    return { alreadyProcessed: true };
+  }
+
+  // Refunds add up; only once they cover the whole payment does the order become 'refunded',
+  // which closes download access. Alerts go through the job queue.
+  const refundedAmount = refund.amount;
+  const currency = refund.currency || order.currency || 'NGN';
+  const refundId = refund.refundId || Date.now();
+  const totalRefunded = (toMinorUnits(order.refundedAmount || 0) + toMinorUnits(refundedAmount)) / 100;
+  const paidAmount = order.paidAmount ?? order.amount;
+  const fullyRefunded = paidAmount === undefined || toMinorUnits(totalRefunded) >= toMinorUnits(paidAmount);
+  const label = getPaymentProvider(refund.provider).label;
+  recordOrder(reference, {
+    state: fullyRefunded ? 'refunded' : undefined,
+    refundedAt: fullyRefunded ? new Date().toISOString() : order.refundedAt,
+    lastRefundAt: new Date().toISOString(),
+    refundedAmount: totalRefunded,
+    refundIds: [...(order.refundIds || []), String(refundId)],
+    refundReference: refund.refundId,
+    refundStatus: fullyRefunded ? 'processed' : 'partial',
+    note: fullyRefunded
+      ? `Refund of ${currency} ${refundedAmount} processed by ${label} - fully refunded, download access revoked`
+      : `Partial refund of ${currency} ${refundedAmount} processed by ${label} (${currency} ${totalRefunded} of ${paidAmount} refunded so far)`
+  });
+  reverseCommission(reference, { refundedAmount, fullyRefunded }, `${fullyRefunded ? 'Order refunded' : 'Partial refund'} (${currency} ${refundedAmount})`);
+  emitWebhookEvent(fullyRefunded ? 'order.refunded' : 'order.partially_refunded', orderEventData(getOrder(reference)));
+
+  const telegramJob = enqueueJob('telegram.refund', `${reference}:${refundId}`, {
+    reference,
+    text: [
+      fullyRefunded ? '↩️ <b>REFUND PROCESSED</b>' : '↩️ <b>PARTIAL REFUND PROCESSED</b>',
+      '',
+      `Reference: ${esc(reference)}`,
+      `Customer: ${esc(order.fullName || 'N/A')} (${esc(order.email || 'N/A')})`,
+      `Refunded: ${esc(`${currency} ${refundedAmount}`)} (${esc(`${currency} ${totalRefunded}`)} in total) of ${esc(`${order.currency || currency} ${paidAmount ?? 'N/A'}`)}`,
+      `Reason: ${esc(order.refundReason || refund.note || 'N/A')}`,
+      `Download access: ${fullyRefunded ? 'revoked' : 'kept'}`
+    ].join('\n')
+  }, reference);
+
+  const emailJob = order.email && enqueueJob('email.refund', `${reference}:${refundId}`, {
+    reference,
+    email: order.email,
+    fullName: order.fullName,
+    amount: refundedAmount,
+    currency,
+    productId: order.productId,
+    partial: !fullyRefunded,
+    totalRefunded,
+    paidAmount
+  }, reference);
+
+  await Promise.all([runJob(telegramJob.job), emailJob && runJob(emailJob.job)]);
+  return { refunded: fullyRefunded, partial: !fullyRefunded };
+}
+
+async function handleRefundFailedEvent(refund) {
+  const reference = refund.reference || referenceForTransaction(refund.provider, refund.transactionId);
+  logger.info('Webhook received: refund failed', { reference });
+
+  const order = getOrder(reference);
+  if (order) {
+    recordOrder(reference, {
+      refundStatus: 'failed',
+      note: `Refund failed${refund.status ? ` (${refund.status})` : ''}`
+    });
+  }
+
+  const { job } = enqueueJob('telegram.refund', `${reference}:${refund.refundId || Date.now()}:failed`, {
+    reference,
+    text: [
+      '❌ <b>REFUND FAILED</b>',
+      '',
+      `Reference: ${esc(reference || 'unknown')}`,
+      `Amount: ${esc(`${refund.currency || order?.currency || 'NGN'} ${refund.amount}`)}`,
+      `Check the ${getPaymentProvider(refund.provider).label} dashboard and retry the refund.`
+    ].join('\n')
+  }, reference);
+  await runJob(job);
+  return { refundFailed: true };
+}
+
+async function handleDisputeCreatedEvent(dispute) {
+  const { reference } = dispute;
+  logger.info('Webhook received: dispute opened', { reference });
+
+  // A redelivered dispute (e.g. after a failed run) is only recorded and alerted once
+  const order = getOrder(reference);
+  if (order && !(dispute.disputeId && String(order.disputeId) === String(dispute.disputeId))) {
+    recordOrder(reference, {
+      disputedAt: new Date().toISOString(),
+      disputeId: dispute.disputeId,
+      note: `Dispute opened${dispute.category ? ` (${dispute.category})` : ''}`
+    });
+  }
+
+  const { job, created } = enqueueJob('telegram.dispute', `${reference}:${dispute.disputeId || 'dispute'}`, {
+    reference,
+    text: [
+      '⚠️ <b>CHARGEBACK / DISPUTE OPENED</b>',
+      '',
+      `Reference: ${esc(reference || 'unknown')}`,
+      `Amount: ${esc(`${dispute.currency} ${dispute.amount}`)}`,
+      `Status: ${esc(dispute.status || 'N/A')}`,
+      `Respond by: ${esc(dispute.dueAt || 'N/A')}`
+    ].join('\n')
+  }, reference);
+  if (created) await runJob(job);
+  return { disputed: true };
+}
+
+async function handlePaymentFailedEvent(payment) {
+  const { reference } = payment;
+  logger.info('Webhook received: charge failed', { reference });
+
+  const order = getOrder(reference);
+  if (!order || order.verifiedAt) {
+    return { ignored: true };
+  }
+
+  recordOrder(reference, {
+    state: 'failed',
+    note: `Charge failed: ${payment.failureReason || 'no reason given'}`
+  });
+  metrics.paymentsFailed.inc({ provider: payment.provider, reason: 'charge_failed' });
+  return { failed: true };
+}
+
+const webhookHandlers = {
+  'payment.success': ({ payment }) => handlePaymentSuccessEvent(payment),
+  'payment.failed': ({ payment }) => handlePaymentFailedEvent(payment),
+  'refund.processed': ({ refund }) => handleRefundProcessedEvent(refund),
+  'refund.failed': ({ refund }) => handleRefundFailedEvent(refund),
+  'dispute.created': ({ dispute }) => handleDisputeCreatedEvent(dispute)
+};
+
+const processingWebhookEvents = new Set(); // ids being handled by this process
+
+// Normalize a journaled event with its provider, run it through its handler and journal the outcome
+async function processWebhookEvent(id, event, { replay = false, provider = 'paystack' } = {}) {
+  processingWebhookEvents.add(id);
+  try {
+    const normalized = await getPaymentProvider(provider).normalizeWebhookEvent(event);
+    const handler = normalized && webhookHandlers[normalized.type];
+    if (!handler) {
+      journalWebhookEvent(id, 'ignored', { replay });
+      return { ignored: true };
+    }
+
+    const result = await handler(normalized);
+    if (result?.rejected) {
+      journalWebhookEvent(id, 'failed', { replay, error: result.reason });
+    } else {
+      journalWebhookEvent(id, 'processed', { replay });
+    }
+    return result;
+  } catch (error) {
+    journalWebhookEvent(id, 'failed', { replay, error: error.message });
+    throw error;
+  } finally {
+    processingWebhookEvents.delete(id);
+  }
+}
+
+// An event still journaled as received was acknowledged but never finished (the process stopped
+// mid-way), so the provider will not send it again: run each one once at boot
+async function resumeUnfinishedWebhookEvents() {
+  const unfinished = [...webhookEvents.values()].filter(record => record.status === 'received');
+  if (!unfinished.length) return;
+
+  logger.info('Resuming unfinished webhook events', { count: unfinished.length });
+  for (const record of unfinished) {
+    try {
+      await processWebhookEvent(record.id, record.payload, { provider: record.provider });
+    } catch (error) {
+      logger.error('Webhook event failed on resume', { eventId: record.id, error: error.response?.data || error.message });
+    }
+  }
+}
+
+// --- Webhooks: the provider checks the signature on the raw request bytes, then the event is journaled ---
+const paymentWebhookRoute = (provider) => (req, res) => {
+    try {
+        if (!provider.checkWebhookSignature(req)) {
+            metrics.webhookSignatureFailures.inc({ source: provider.name });
+            logger.warn('Invalid webhook signature', { provider: provider.name });
+            return res.sendStatus(400);
+        }
+
+        const event = req.body;
+        const id = provider.webhookEventId(event);
+        const known = webhookEvents.get(id);
+
+        // Redeliveries of an event we already handled are acknowledged but not processed again.
+        // Failed events, and received ones that are not running here (left over from a crash), are.
+        const unfinished = known?.status === 'failed' || (known?.status === 'received' && !processingWebhookEvents.has(id));
+        if (known && !unfinished) {
+            journalWebhookEvent(id, 'duplicate');
+            logger.info('Duplicate webhook delivery ignored', { eventId: id });
+            return res.sendStatus(200);
+        }
+        if (!known) {
+            journalWebhookEvent(id, 'received', { provider: provider.name, payload: event });
+        }
+
+        // Fire and forget; don't block the webhook response
+        processWebhookEvent(id, event, { provider: provider.name }).then(result => {
+            if (result?.rejected) {
+                logger.error('Webhook payment rejected', { eventId: id, reason: result.reason });
+            }
+        }).catch(err => {
+            const resp = err.response;
+            logger.error('Webhook processing error', {
+                eventId: id,
+                status: resp?.status,
+                statusText: resp?.statusText,
+                error: resp?.data || err.message
+            });
+        });
+
+        return res.sendStatus(200);
+    } catch (error) {
+        logger.error('Webhook error', { error });
+        return res.sendStatus(500);
+    }
+};
+
+app.post('/api/webhook/paystack', paymentWebhookRoute(paystackProvider));
+app.post('/api/webhook/flutterwave', paymentWebhookRoute(flutterwaveProvider));
+
+// --- Admin: inspect and replay journaled webhook events ---
+app.get('/api/admin/webhook-events', requireAdmin, validate({
+    query: {
+        status: { type: 'string', enum: ['received', 'processed', 'ignored', 'failed'] },
+        event: { type: 'string', max: 100 }
+    }
+}), (req, res) => {
+    const { status, event } = req.query;
+    const list = [...webhookEvents.values()]
+        .filter(record => (!status || record.status === status) && (!event || record.event === event))
+        .map(({ payload, ...summary }) => summary);
+
+    res.json({ success: true, count: list.length, data: list });
+});
+
+app.get('/api/admin/webhook-events/:id', requireAdmin, validate({
+    params: { id: { type: 'string', required: true, max: 200 } }
+}), (req, res) => {
+    const record = webhookEvents.get(req.params.id);
+    if (!record) {
+        return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+    return res.json({ success: true, data: record });
+});
+
+app.post('/api/admin/webhook-events/:id/replay', requireAdmin, validate({
+    params: { id: { type: 'string', required: true, max: 200 } }
+}), async (req, res) => {
+    const record = webhookEvents.get(req.params.id);
+    if (!record) {
+        return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    try {
+        logger.info('Replaying webhook event', { eventId: record.id });
+        const result = await processWebhookEvent(record.id, record.payload, { replay: true, provider: record.provider });
+        return res.json({ success: true, result, data: webhookEvents.get(record.id) });
+    } catch (error) {
+        logger.error('Webhook replay error', { eventId: record.id, error: error.response?.data || error.message });
+        return res.status(500).json({
+            success: false,
+            message: 'Replay failed',
+            error: error.message
+        });
+    }
+});
+
+// --- Download route: checks the signed token, the order and the download limit ---
+app.get('/api/download/:token', limitByIp('download'), validate({
+    params: { token: { type: 'string', required: true, max: 1000 } }
+}), (req, res) => {
+    try {
+        const check = verifyDownloadToken(req.params.token);
+        if (check.error) {
+            return res.status(check.expired ? 410 : 403).send(check.error);
+        }
+
+        const order = getOrder(check.reference);
+        if (!order || !(order.verifiedAt || order.manuallyFulfilledAt)) {
+            return res.status(404).send('Order not found');
+        }
+        if (order.state === 'refunded' || order.revokedAt) {
+            return res.status(403).send('Access to this download has been revoked');
+        }
+
+        const downloads = order.downloads || 0;
+        if (downloads >= DOWNLOAD_LIMIT) {
+            return res.status(429).send('Download limit reached for this order - please contact support');
+        }
+
+        recordOrder(order.reference, {
+            downloads: downloads + 1,
+            note: `download ${downloads + 1}/${DOWNLOAD_LIMIT} from ${req.ip}`
+        });
+        logger.info('Download', { reference: order.reference, count: downloads + 1, limit: DOWNLOAD_LIMIT });
+
+        const deliverable = getProduct(order.productId)?.deliverable || { url: DOWNLOAD_URL };
+        if (deliverable.file) {
+            return res.download(deliverable.file);
+        }
+        return res.redirect(302, deliverable.url);
+    } catch (error) {
+        logger.error('Download error', { error: error.message });
+        return res.status(500).send('Server error');
+    }
+});
+
+// --- Receipt re-download: the signed link from the download email ---
+app.get('/api/receipt/:token', limitByIp('receipt'), validate({
+    params: { token: { type: 'string', required: true, max: 1000 } }
+}), (req, res) => {
+    try {
+        const check = verifyLinkToken('receipt', req.params.token);
+        if (check.error) {
+            return res.status(check.expired ? 410 : 403).send(check.error);
+        }
+
+        const order = getOrder(check.data.ref);
+        if (!order?.verifiedAt) {
+            return res.status(404).send('Receipt not found');
+        }
+
+        const receipt = renderReceipt(order);
+        res.set('Content-Disposition', `inline; filename="${receipt.filename}"`);
+        return res.type(receipt.contentType).send(receipt.content);
+    } catch (error) {
+        logger.error('Receipt error', { error: error.message });
+        return res.status(500).send('Server error');
+    }
+});
+
+// --- Self-service: buyers who lost their email ask for a fresh download link ---
+// The answer is the same whether or not the email has bought anything, and the emails go out
+// after responding, so neither the body nor the timing tells a caller who is a customer.
+app.post('/api/resend-download', limitByIp('resend-download', 10), validate({
+    body: { email: { type: 'email', required: true } }
+}), limitByEmail('resend-download', 3), (req, res) => {
+    const { email } = req.body;
+    const paidOrders = [...orders.values()]
+        .filter(order => order.email?.toLowerCase() === email && !resendBlockedReason(order));
+
+    res.json({
+        success: true,
+        message: 'If we have a paid order for this email, a new download link is on its way.'
+    });
+
+    if (!paidOrders.length) {
+        logger.info('Self-service resend requested for an email with no paid orders');
+        return;
+    }
+    for (const order of paidOrders) {
+        logger.info('Self-service resend', { reference: order.reference });
+        resendDownloadEmail(order, { note: `Customer requested a new download link (from ${req.ip})` })
+            .catch(error => logger.error('Self-service resend failed', { reference: order.reference, error: error.message }));
+    }
+});
+
+// --- Abandoned checkout reminders ---
+// Checkouts still 'initialized' after ABANDONED_REMINDER_DELAY_MINUTES are confirmed unpaid with
+// their provider, then get up to ABANDONED_REMINDER_MAX reminder emails spaced
+// ABANDONED_REMINDER_SPACING_HOURS apart. Only the newest checkout per email and product is
+// reminded, never once that buyer has paid for the product, and never after they unsubscribe.
+const unsubscribedEmails = new Set();
+
+function loadUnsubscribes() {
+  for (const entry of readJsonLines(UNSUBSCRIBES_FILE, 'Unsubscribes')) {
+    unsubscribedEmails.add(entry.email);
+  }
+  logger.info('Unsubscribes loaded', { emails: unsubscribedEmails.size });
+}
+
+function unsubscribeEmail(email) {
+  const normalized = String(email).toLowerCase();
+  if (unsubscribedEmails.has(normalized)) return;
+  appendJsonLine(UNSUBSCRIBES_FILE, { email: normalized, at: new Date().toISOString() });
+  unsubscribedEmails.add(normalized);
+}
+
+function reminderLinks(order) {
+  const resume = signLinkToken('checkout-resume', { ref: order.reference }, ABANDONED_REMINDER_MAX_AGE_DAYS * 24);
+  const unsubscribe = signLinkToken('unsubscribe', { email: order.email.toLowerCase() }, 365 * 24);
+  return {
+    checkoutUrl: `${PUBLIC_BASE_URL}/api/checkout/resume/${resume}`,
+    unsubscribeUrl: `${PUBLIC_BASE_URL}/api/unsubscribe/${unsubscribe}`
+  };
+}
+
+const hasPaidFor = (email, productId) => [...orders.values()].some(order =>
+    order.verifiedAt && order.productId === productId && order.email?.toLowerCase() === email.toLowerCase());
+
+// Checkouts that are due a reminder now
+function dueAbandonedCheckouts(now = Date.now()) {
+  const newest = new Map(); // "email|productId" -> newest checkout started here
+  for (const order of orders.values()) {
+    if (order.history[0]?.state !== 'initialized' || !order.email) continue;
+    const key = `${order.email.toLowerCase()}|${order.productId}`;
+    if (!newest.has(key) || newest.get(key).createdAt < order.createdAt) newest.set(key, order);
+  }
+
+  return [...newest.values()].filter(order => {
+    const age = now - new Date(order.createdAt).getTime();
+    const sent = order.remindersSent || 0;
+    return order.state === 'initialized'
+      && age >= ABANDONED_REMINDER_DELAY_MINUTES * 60000
+      && age <= ABANDONED_REMINDER_MAX_AGE_DAYS * 24 * 3600000
+      && sent < ABANDONED_REMINDER_MAX
+      && (!order.lastReminderAt || now - new Date(order.lastReminderAt).getTime() >= ABANDONED_REMINDER_SPACING_HOURS * 3600000)
+      && !unsubscribedEmails.has(order.email.toLowerCase())
+      && !hasPaidFor(order.email, order.productId);
+  });
+}
+
+jobHandlers['email.abandoned'] = {
+  async run({ reference, reminder }) {
+    // The order may have been paid, or the buyer may have unsubscribed, since this was queued
+    const order = getOrder(reference);
+    if (!order || order.state !== 'initialized' || hasPaidFor(order.email, order.productId)) {
+      return { skipped: 'paid or closed' };
+    }
+    if (unsubscribedEmails.has(order.email.toLowerCase())) {
+      return { skipped: 'unsubscribed' };
+    }
+
+    const language = pickLanguage(order);
+    const content = renderEmail('abandoned', {
+      productId: order.productId,
+      language,
+      vars: {
+        name: (order.fullName || 'there').trim(),
+        courseTitle: getProduct(order.productId)?.title || COURSE_TITLE,
+        reference,
+        amount: order.amount,
+        currency: order.currency,
+        ...reminderLinks(order)
+      }
+    });
+    const result = await deliverEmail({
+      to: order.email,
+      toName: order.fullName,
+      subject: content.subject,
+      html: content.html,
+      text: content.text
+    });
+
+    recordOrder(reference, {
+      remindersSent: reminder,
+      lastReminderAt: new Date().toISOString(),
+      note: `Checkout reminder ${reminder}/${ABANDONED_REMINDER_MAX} emailed via ${result.provider}`
+    });
+    return { messageId: result.messageId, provider: result.provider };
+  }
+};
+
+async function sendAbandonedCheckoutReminders() {
+  const due = dueAbandonedCheckouts();
+  if (!due.length) return { due: 0, queued: 0 };
+  logger.info('Abandoned checkouts due a reminder', { count: due.length });
+
+  let queued = 0;
+  for (const order of due) {
+    // Confirm with the provider first: a payment whose webhook was missed is fulfilled instead
+    let payment;
+    try {
+      payment = await getPaymentProvider(order.provider).verify(order.reference);
+    } catch (error) {
+      // Providers answer 400/404 for checkouts that never reached a payment attempt
+      if (![400, 404].includes(error.response?.status)) {
+        logger.error('Could not check abandoned checkout with its provider', { reference: order.reference, provider: order.provider, error: error.message });
+        continue;
+      }
+    }
+    if (payment?.status === 'success') {
+      logger.info('Abandoned checkout was paid after all - fulfilling instead of reminding', { reference: order.reference });
+      await handleSuccessfulPayment(payment).catch(error =>
+        logger.error('Fulfilment failed', { reference: order.reference, error: error.message }));
+      continue;
+    }
+
+    const reminder = (order.remindersSent || 0) + 1;
+    // A reminder that is already queued is left to the job worker and its backoff, and one
+    // that was dead-lettered is not revived (enqueueJob would give it fresh attempts)
+    if (jobs.get(`email.abandoned:${order.reference}:${reminder}`)?.status === 'dead') continue;
+    const { job, created } = enqueueJob('email.abandoned', `${order.reference}:${reminder}`, { reference: order.reference, reminder }, order.reference);
+    if (!created) continue;
+    queued++;
+    await runJob(job);
+  }
+  return { due: due.length, queued };
+}
+
+function startAbandonedCheckoutReminders() {
+  if (!(ABANDONED_REMINDER_DELAY_MINUTES > 0) || !(ABANDONED_REMINDER_MAX > 0)) {
+    logger.info('Abandoned checkout reminders disabled');
+    return;
+  }
+
+  let running = false;
+  setInterval(() => {
+    if (running) return;
+    running = true;
+    sendAbandonedCheckoutReminders()
+      .catch(error => logger.error('Abandoned checkout scan error', { error: error.message }))
+      .finally(() => { running = false; });
+  }, ABANDONED_SCAN_INTERVAL_MINUTES * 60000);
+  logger.info('Abandoned checkout reminders enabled', { delayMinutes: ABANDONED_REMINDER_DELAY_MINUTES, maxPerCheckout: ABANDONED_REMINDER_MAX });
+}
+
+// Reminder link: opens a fresh transaction at the price the buyer was offered and redirects
+// to the provider's payment page
+app.get('/api/checkout/resume/:token', limitByIp('checkout-resume'), validate({
+    params: { token: { type: 'string', required: true, max: 1000 } }
+}), async (req, res) => {
+    const check = verifyLinkToken('checkout-resume', req.params.token);
+    if (check.error) {
+        return res.status(check.expired ? 410 : 403).send(check.expired ? 'This link has expired' : 'Invalid link');
+    }
+
+    const order = getOrder(check.data.ref);
+    const product = order && getProduct(order.productId);
+    if (!order || !product) {
+        return res.status(404).send('Order not found');
+    }
+    if (hasPaidFor(order.email, order.productId)) {
+        return res.status(409).send('This order has already been paid - check your email for the download link');
+    }
+
+    // The coupon is checked again: it may have expired, been switched off or used up since.
+    // If it no longer applies the buyer can still pay the full price.
+    const pricing = { price: order.originalAmount, currency: order.currency };
+    const applied = order.couponCode ? applyCoupon(order.couponCode, { product, pricing, email: order.email }) : null;
+    if (applied?.error) {
+        logger.info('Coupon dropped on checkout resume', { reference: order.reference, couponCode: order.couponCode, reason: applied.error });
+    }
+
+    try {
+        const started = await startCheckout({
+            product,
+            pricing,
+            couponCode: applied?.coupon ? applied.coupon.code : null,
+            discount: applied?.coupon ? applied.discount : 0,
+            referralCode: order.referralCode || null,
+            email: order.email,
+            fullName: order.fullName,
+            gclid: order.gclid,
+            ipAddress: order.ipAddress,
+            country: order.country,
+            locale: order.locale,
+            // A resumed checkout returns to the page the original one did
+            callbackUrl: order.callbackUrl || checkoutCallbackUrl(),
+            // The resumed checkout inherits the reminder count, so a buyer gets ABANDONED_REMINDER_MAX in total
+            fields: { resumedFrom: order.reference, remindersSent: order.remindersSent || 0, lastReminderAt: order.lastReminderAt || null }
+        });
+        if (started.error) {
+            return res.status(started.status).send(started.error);
+        }
+
+        recordOrder(order.reference, { resumedAs: started.reference, note: `Checkout resumed from a reminder as ${started.reference}${applied?.error ? ` without coupon ${order.couponCode} (${applied.error})` : ''}` });
+        return res.redirect(302, started.checkout.authorizationUrl);
+    } catch (error) {
+        logger.error('Checkout resume error', { error: error.response?.data || error.message });
+        return res.status(502).send('Could not start the payment - please try again later');
+    }
+});
+
+// Unsubscribe link from reminder emails (POST supports one-click unsubscribe from mail clients)
+app.all('/api/unsubscribe/:token', validate({
+    params: { token: { type: 'string', required: true, max: 1000 } }
+}), (req, res) => {
+    if (!['GET', 'POST'].includes(req.method)) {
+        return res.sendStatus(405);
+    }
+    const check = verifyLinkToken('unsubscribe', req.params.token);
+    if (check.error) {
+        return res.status(403).send('Invalid link');
+    }
+
+    unsubscribeEmail(check.data.email);
+    logger.info('Buyer unsubscribed from checkout reminders');
+    return res.send('You will not receive any more reminders about unfinished orders.');
+});
+
+// --- Reconciliation against each payment provider's transaction list ---
+// Catches payments whose webhook was missed and whose buyer never reached paycomplete.html.
+let reconciliationRunning = null;
+let lastReconciliation = null;
+
+async function reconcileWithProviders({ from, to, trigger = 'schedule' }) {
+  const providers = Object.values(paymentProviders).filter(provider => provider.configured());
+  const report = {
+    trigger,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    startedAt: new Date().toISOString(),
+    providers: providers.map(provider => provider.name),
+    checked: 0,
+    alreadyFulfilled: 0,
+    fixed: [],
+    stuck: [],
+    mismatched: [],
+    missingAtProvider: [],
+    errors: []
+  };
+  logger.info('Reconciling with payment providers', { providers: report.providers, from: report.from, to: report.to, trigger });
+
+  const paidReferences = new Set();
+  for (const provider of providers) {
+    const payments = await provider.listTransactions({ from, to });
+    report.checked += payments.length;
+
+    for (const payment of payments) {
+      paidReferences.add(payment.reference);
+      const order = getOrder(payment.reference);
+
+      if (['emailed', 'fulfilled', 'refunded'].includes(order?.state)) {
+        report.alreadyFulfilled++;
+        if (order.paidAmount !== undefined && toMinorUnits(order.paidAmount) !== toMinorUnits(payment.amount)) {
+          report.mismatched.push({
+            reference: payment.reference,
+            reason: `${provider.label} has ${payment.currency} ${payment.amount}, order store has ${order.currency} ${order.paidAmount}`
+          });
+        }
+        continue;
+      }
+
+      try {
+        const result = await handleSuccessfulPayment(payment);
+        if (result.rejected) {
+          report.mismatched.push({ reference: payment.reference, reason: result.reason });
+        } else if (result.alreadyProcessed) {
+          // Verified earlier but its side effects are still queued or dead: nothing was
+          // recovered here, so it is reported as stuck rather than fixed
+          const stuckJobs = [...jobs.values()]
+            .filter(job => job.reference === payment.reference && job.status !== 'done')
+            .map(job => `${job.type} ${job.status}`);
+          report.stuck.push({
+            reference: payment.reference,
+            reason: `${order?.state || 'unknown'} with ${stuckJobs.join(', ') || 'side effects in progress'}`
+          });
+        } else {
+          recordOrder(payment.reference, { note: `Recovered by reconciliation (${trigger})` });
+          report.fixed.push({ reference: payment.reference, emailSent: result.emailSent });
+        }
+      } catch (error) {
+        report.errors.push({ reference: payment.reference, error: error.message });
+      }
+    }
+  }
+
+  // Orders we consider paid in the same window that their provider does not list as successful
+  for (const order of orders.values()) {
+    if (!order.verifiedAt || paidReferences.has(order.reference)) continue;
+    if (!report.providers.includes(order.provider || 'paystack')) continue;
+    const verifiedAt = new Date(order.verifiedAt);
+    if (verifiedAt >= from && verifiedAt <= to) {
+      report.missingAtProvider.push({ reference: order.reference, provider: order.provider || 'paystack', state: order.state });
+    }
+  }
+
+  report.finishedAt = new Date().toISOString();
+  appendJsonLine(RECONCILIATIONS_FILE, report);
+  lastReconciliation = report;
+
+  logger.info('Reconciliation done', {
+    checked: report.checked,
+    fixed: report.fixed.length,
+    stuck: report.stuck.length,
+    mismatched: report.mismatched.length,
+    missingAtProvider: report.missingAtProvider.length
+  });
+
+  if (report.fixed.length || report.stuck.length || report.mismatched.length || report.missingAtProvider.length || report.errors.length) {
+    const list = (items) => items.slice(0, 10).map(item => `• <code>${esc(item.reference)}</code>${item.reason ? ` - ${esc(item.reason)}` : ''}`);
+    sendTelegramMessage([
+      '🧮 <b>RECONCILIATION REPORT</b>',
+      `Window: ${esc(report.from)} → ${esc(report.to)}`,
+      `Checked: ${report.checked}`,
+      '',
+      `<b>Fixed (fulfilled now): ${report.fixed.length}</b>`,
+      ...list(report.fixed),
+      `<b>Stuck (paid, side effects pending): ${report.stuck.length}</b>`,
+      ...list(report.stuck),
+      `<b>Mismatched: ${report.mismatched.length}</b>`,
+      ...list(report.mismatched),
+      `<b>Paid here, not at the provider: ${report.missingAtProvider.length}</b>`,
+      ...list(report.missingAtProvider),
+      `<b>Errors: ${report.errors.length}</b>`
+    ].join('\n')).catch(error => logger.error('Reconciliation alert failed', { error: error.message }));
+  }
+
+  return report;
+}
+
+// Only one reconciliation at a time; a second caller gets the running one
+function runReconciliation(options) {
+  if (!reconciliationRunning) {
+    reconciliationRunning = reconcileWithProviders(options)
+      .finally(() => { reconciliationRunning = null; });
+  }
+  return reconciliationRunning;
+}
+
+function startReconciliationSchedule() {
+  lastReconciliation = readJsonLines(RECONCILIATIONS_FILE, 'Reconciliations').pop() || null;
+
+  if (!(RECONCILE_INTERVAL_MINUTES > 0)) {
+    logger.info('Scheduled reconciliation disabled');
+    return;
+  }
+
+  setInterval(() => {
+    const to = new Date();
+    const from = new Date(to.getTime() - RECONCILE_WINDOW_HOURS * 3600 * 1000);
+    runReconciliation({ from, to }).catch(error =>
+      logger.error('Reconciliation error', { error: error.response?.data || error.message }));
+  }, RECONCILE_INTERVAL_MINUTES * 60 * 1000);
+  logger.info('Scheduled reconciliation enabled', { intervalMinutes: RECONCILE_INTERVAL_MINUTES, windowHours: RECONCILE_WINDOW_HOURS });
+}
+
+// POST /api/admin/reconcile  body: { from?, to? } (defaults to the scheduled window)
+app.post('/api/admin/reconcile', requireAdmin, validate({
+    body: { from: { type: 'date' }, to: { type: 'date' } }
+}), async (req, res) => {
+    const range = parseDateRange(req.body);
+    if (range.error) {
+        return res.status(400).json({ success: false, message: range.error });
+    }
+
+    const to = range.end || new Date();
+    const from = range.start || new Date(to.getTime() - RECONCILE_WINDOW_HOURS * 3600 * 1000);
+    try {
+        const report = await runReconciliation({ from, to, trigger: 'admin' });
+        return res.json({ success: true, data: report });
+    } catch (error) {
+        logger.error('Reconciliation error', { error: error.response?.data || error.message });
+        return res.status(502).json({
+            success: false,
+            message: 'Reconciliation failed',
+            error: error.response?.data?.message || error.message
+        });
+    }
+});
+
+app.get('/api/admin/reconcile/last', requireAdmin, (req, res) => {
+    res.json({ success: true, data: lastReconciliation });
+});
+
+// --- Admin: orders ---
+const orderSummary = ({ history, ...order }) => order;
+
+// Why a download email cannot be resent for an order, or null when it can
+function resendBlockedReason(order) {
+  if (!(order.verifiedAt || order.manuallyFulfilledAt)) return 'Order has not been paid';
+  if (order.state === 'refunded' || order.revokedAt) return 'Access to this order has been revoked';
+  return null;
+}
+
+// Queue a fresh download email for an order and try it straight away
+async function resendDownloadEmail(order, { note } = {}) {
+  const { job } = enqueueJob('email.download', `${order.reference}:resend:${Date.now()}`, {
+    reference: order.reference,
+    email: order.email,
+    fullName: order.fullName,
+    productId: order.productId,
+    resend: true
+  }, order.reference);
+  recordOrder(order.reference, { note: note || 'Download email resent' });
+
+  return runJob(job);
+}
+
+// GET /api/admin/orders?email=&reference=&status=&from=&to=&limit=50&offset=0
+app.get('/api/admin/orders', requireAdmin, validate({
+    query: {
+        email: { type: 'string', max: 254 },
+        reference: { type: 'string', max: 100 },
+        status: { type: 'string', enum: ORDER_STATES },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        limit: { type: 'number', min: 1, max: 500 },
+        offset: { type: 'number', min: 0 }
+    }
+}), (req, res) => {
+    const { email, reference, status } = req.query;
+    const range = parseDateRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ success: false, message: range.error });
+    }
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const offset = Number(req.query.offset) || 0;
+
+    const matches = [...orders.values()]
+        .filter(order => !email || (order.email || '').toLowerCase().includes(String(email).toLowerCase()))
+        .filter(order => !reference || order.reference.includes(reference))
+        .filter(order => !status || order.state === status)
+        .filter(order => {
+            const created = new Date(order.createdAt);
+            return (!range.start || created >= range.start) && (!range.end || created <= range.end);
+        })
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    res.json({
+        success: true,
+        count: matches.length,
+        data: matches.slice(offset, offset + limit).map(orderSummary)
+    });
+});
+
+// Full timeline: every order store entry plus the side-effect jobs for the order
+app.get('/api/admin/orders/:reference', requireAdmin, validate({
+    params: { reference: { type: 'reference', required: true } }
+}), (req, res) => {
+    const order = getOrder(req.params.reference);
+    if (!order) {
+        return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const orderJobs = [...jobs.values()].filter(job => job.reference === order.reference);
+    return res.json({ success: true, data: { ...order, jobs: orderJobs } });
+});
+
+app.get('/api/admin/orders/:reference/receipt', requireAdmin, validate({
+    params: { reference: { type: 'reference', required: true } }
+}), (req, res) => {
+    const order = getOrder(req.params.reference);
+    if (!order?.verifiedAt) {
+        return res.status(404).json({ success: false, message: 'No verified payment for this order' });
+    }
+
+    const receipt = renderReceipt(order);
+    res.set('Content-Disposition', `attachment; filename="${receipt.filename}"`);
+    return res.type(receipt.contentType).send(receipt.content);
+});
+
+app.post('/api/admin/orders/:reference/resend', requireAdmin, validate({
+    params: { reference: { type: 'reference', required: true } }
+}), async (req, res) => {
+    const order = getOrder(req.params.reference);
+    if (!order) {
+        return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    const blocked = resendBlockedReason(order);
+    if (blocked) {
+        return res.status(409).json({ success: false, message: blocked });
+    }
+
+    logger.info('Admin resend of download email', { reference: order.reference });
+    const outcome = await resendDownloadEmail(order, { note: 'Admin: download email resent' });
+    return res.json({
+        success: outcome.status === 'done',
+        message: outcome.status === 'done' ? 'Download email resent' : 'Resend failed - queued for retry',
+        job: outcome
+    });
+});
+
+app.post('/api/admin/orders/:reference/revoke', requireAdmin, validate({
+    params: { reference: { type: 'reference', required: true } },
+    body: { reason: { type: 'string', max: 500 } }
+}), (req, res) => {
+    const order = getOrder(req.params.reference);
+    if (!order) {
+        return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (order.revokedAt) {
+        return res.json({ success: true, message: 'Access already revoked', data: orderSummary(order) });
+    }
+
+    const { reason } = req.body;
+    const updated = recordOrder(order.reference, {
+        revokedAt: new Date().toISOString(),
+        revokeReason: reason || null,
+        note: `Admin: access revoked${reason ? ` (${reason})` : ''}`
+    });
+    logger.info('Admin revoked access', { reference: order.reference });
+    return res.json({ success: true, message: 'Access revoked', data: orderSummary(updated) });
+});
+
+app.post('/api/admin/orders/:reference/fulfil', requireAdmin, validate({
+    params: { reference: { type: 'reference', required: true } },
+    body: { note: { type: 'string', max: 500 } }
+}), (req, res) => {
+    const order = getOrder(req.params.reference);
+    if (!order) {
+        return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (order.state === 'refunded') {
+        return res.status(409).json({ success: false, message: 'Order was refunded' });
+    }
+
+    const { note } = req.body;
+    const updated = recordOrder(order.reference, {
+        state: 'fulfilled',
+        manuallyFulfilledAt: new Date().toISOString(),
+        note: `Admin: marked as manually fulfilled${note ? ` (${note})` : ''}`
+    });
+    logger.info('Admin marked order as manually fulfilled', { reference: order.reference });
+    return res.json({ success: true, message: 'Order marked as fulfilled', data: orderSummary(updated) });
+});
+
+// Refund through the provider that took the payment. Body: { amount?, reason? } - amount in major
+// units, defaults to what has not been refunded yet. Once the provider's refund webhooks add up
+// to the full payment the order becomes 'refunded' (and loses download access).
+app.post('/api/admin/orders/:reference/refund', requireAdmin, validate({
+    params: { reference: { type: 'reference', required: true } },
+    body: {
+        amount: { type: 'number', min: 0.01 },
+        reason: { type: 'string', max: 500 }
+    }
+}), async (req, res) => {
+    const order = getOrder(req.params.reference);
+    if (!order) {
+        return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (!order.verifiedAt) {
+        return res.status(409).json({ success: false, message: 'Order has not been paid through a payment provider' });
+    }
+    if (order.state === 'refunded') {
+        return res.status(409).json({ success: false, message: 'Order was already refunded' });
+    }
+
+    const provider = getPaymentProvider(order.provider);
+    if (!provider?.configured()) {
+        return res.status(503).json({ success: false, message: `${order.provider} is not configured` });
+    }
+
+    const { amount, reason } = req.body;
+    const refundable = (toMinorUnits(order.paidAmount) - toMinorUnits(order.refundedAmount || 0)) / 100;
+    const refundAmount = amount === undefined ? refundable : amount;
+    if (!(refundAmount > 0) || toMinorUnits(refundAmount) > toMinorUnits(refundable)) {
+        return res.status(400).json({
+            success: false,
+            message: `Refund amount must be between 0 and ${refundable}`
+        });
+    }
+
+    try {
+        logger.info('Requesting refund', { reference: order.reference, amount: refundAmount, currency: order.currency });
+        const refund = await provider.refund({ order, amount: refundAmount, reason });
+
+        recordOrder(order.reference, {
+            refundStatus: refund.status,
+            refundRequestedAt: new Date().toISOString(),
+            refundRequestedAmount: refundAmount,
+            refundReason: reason || null,
+            note: `Admin: refund of ${order.currency} ${refundAmount} requested${reason ? ` (${reason})` : ''}`
+        });
+
+        return res.json({
+            success: true,
+            message: refund.message || 'Refund queued',
+            data: { status: refund.status, amount: refundAmount, currency: order.currency }
+        });
+    } catch (error) {
+        logger.error('Refund error', { error: error.response?.data || error.message });
+        recordOrder(order.reference, { note: `Admin: refund request failed (${error.response?.data?.message || error.message})` });
+        return res.status(error.response?.status === 400 ? 400 : 502).json({
+            success: false,
+            message: `${provider.label} refused the refund`,
+            error: error.response?.data?.message || error.message
+        });
+    }
+});
+
+// --- Time zone helpers ---
+// Wall-clock parts of a date in a time zone, plus that zone's UTC offset in minutes
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  parts.offsetMinutes = Math.round((Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  return parts;
+}
+
+// Midnight (in the given zone) of the day `daysAgo` days before `date`
+function startOfZonedDay(date = new Date(), timeZone = BUSINESS_TIMEZONE, daysAgo = 0) {
+  const parts = zonedParts(date, timeZone);
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day - daysAgo) - parts.offsetMinutes * 60000);
+}
+
+// Midnight (in the given zone) that starts a bare "yyyy-mm-dd" date, `daysLater` days on
+function startOfZonedDate(day, timeZone = BUSINESS_TIMEZONE, daysLater = 0) {
+  const [year, month, date] = day.split('-').map(Number);
+  const midnight = Date.UTC(year, month - 1, date + daysLater);
+  // The offset at that midnight can differ from the one at UTC midnight on a DST change day
+  const guess = new Date(midnight - zonedParts(new Date(midnight), timeZone).offsetMinutes * 60000);
+  return new Date(midnight - zonedParts(guess, timeZone).offsetMinutes * 60000);
+}
+
+// --- Google Ads offline conversion export ---
+// Google Ads wants "yyyy-MM-dd HH:mm:ss+hhmm" in the account's time zone
+function formatGoogleAdsTime(isoTime, timeZone = GOOGLE_ADS_TIMEZONE) {
+  const parts = zonedParts(new Date(isoTime), timeZone);
+  const local = `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+  const sign = parts.offsetMinutes < 0 ? '-' : '+';
+  const abs = Math.abs(parts.offsetMinutes);
+  return `${local}${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+const csvCell = (value = '') => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `from` / `to` accept ISO dates or datetimes. Bare dates are whole days in `timeZone`, so a
+// bare `to` date includes that entire day.
+function parseDateRange({ from, to }, timeZone = 'UTC') {
+  const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const start = from ? (isDay(from) ? startOfZonedDate(from, timeZone) : new Date(from)) : null;
+  const end = to ? (isDay(to) ? new Date(startOfZonedDate(to, timeZone, 1).getTime() - 1) : new Date(to)) : null;
+  if ((start && isNaN(start)) || (end && isNaN(end))) {
+    return { error: 'Invalid from/to date' };
+  }
+  return { start, end };
+}
+
+// Paid, non-refunded orders that came from a Google Ads click
+function listAdsConversions({ start, end, includeExported }) {
+  return [...orders.values()]
+    .filter(order => order.verifiedAt && order.gclid && order.gclid !== 'direct')
+    .filter(order => order.state !== 'refunded')
+    .filter(order => includeExported || !order.conversionExportedAt)
+    .filter(order => {
+      const time = new Date(order.verifiedAt);
+      return (!start || time >= start) && (!end || time <= end);
+    })
+    .sort((a, b) => a.verifiedAt.localeCompare(b.verifiedAt));
+}
+
+// GET /api/admin/conversions/google-ads.csv?from=2026-01-01&to=2026-01-31
+//   includeExported=true  also list conversions from earlier exports
+//   preview=true          do not mark the listed conversions as exported
+app.get('/api/admin/conversions/google-ads.csv', requireAdmin, validate({
+    query: {
+        from: { type: 'date' },
+        to: { type: 'date' },
+        includeExported: { type: 'boolean' },
+        preview: { type: 'boolean' }
+    }
+}), (req, res) => {
+    const range = parseDateRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ success: false, message: range.error });
+    }
+
+    const includeExported = req.query.includeExported === true;
+    const preview = req.query.preview === true;
+    const conversions = listAdsConversions({ ...range, includeExported });
+
+    const rows = [
+        ['Google Click ID', 'Conversion Name', 'Conversion Time', 'Conversion Value', 'Conversion Currency'],
+        ...conversions.map(order => [
+            order.gclid,
+            GOOGLE_ADS_CONVERSION_NAME,
+            formatGoogleAdsTime(order.verifiedAt),
+            order.paidAmount,
+            order.currency
+        ])
+    ];
+
+    if (!preview) {
+        const exportedAt = new Date().toISOString();
+        for (const order of conversions) {
+            recordOrder(order.reference, {
+                conversionExportedAt: exportedAt,
+                note: 'Exported to Google Ads offline conversions'
+            });
+        }
+    }
+    logger.info('Google Ads export', { conversions: conversions.length, preview });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="google-ads-conversions-${new Date().toISOString().slice(0, 10)}.csv"`);
+    return res.send(rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n');
+});
+
+// --- Admin: sales and funnel analytics ---
+// Checkouts count on the day they were started through /api/initialize-payment (orders that
+// only arrived by webhook have no checkout); sales count on the day the payment was verified.
+const ANALYTICS_GROUPS = ['day', 'product', 'currency', 'country', 'source'];
+
+function analyticsKey(order, group, time) {
+  switch (group) {
+    case 'day': {
+      const parts = zonedParts(new Date(time), BUSINESS_TIMEZONE);
+      return `${parts.year}-${parts.month}-${parts.day}`;
+    }
+    case 'product': return order.productId || 'unknown';
+    case 'currency': return order.currency || 'unknown';
+    case 'country': return order.country || 'unknown';
+    default: return order.gclid && order.gclid !== 'direct' ? 'gclid' : 'direct';
+  }
+}
+
+function salesAnalytics({ start, end, productId }) {
+  const inRange = (time) => Boolean(time) && (!start || new Date(time) >= start) && (!end || new Date(time) <= end);
+  const emptyRow = (key) => ({ key, checkoutsStarted: 0, checkoutsPaid: 0, paidOrders: 0, refundedOrders: 0, revenue: {} });
+  const totals = emptyRow('total');
+  const groups = Object.fromEntries(ANALYTICS_GROUPS.map(group => [group, new Map()]));
+
+  // The totals row plus the row of every group this order falls into
+  const rowsFor = (order, time) => [totals, ...ANALYTICS_GROUPS.map(group => {
+    const key = analyticsKey(order, group, time);
+    if (!groups[group].has(key)) groups[group].set(key, emptyRow(key));
+    return groups[group].get(key);
+  })];
+
+  for (const order of orders.values()) {
+    if (productId && order.productId !== productId) continue;
+
+    if (order.history[0]?.state === 'initialized' && inRange(order.createdAt)) {
+      for (const row of rowsFor(order, order.createdAt)) {
+        row.checkoutsStarted++;
+        if (order.verifiedAt) row.checkoutsPaid++;
+      }
+    }
+
+    if (inRange(order.verifiedAt)) {
+      for (const row of rowsFor(order, order.verifiedAt)) {
+        if (order.state === 'refunded') {
+          row.refundedOrders++;
+          continue;
+        }
+        row.paidOrders++;
+        // Partial refunds come off the revenue
+        row.revenue[order.currency] = (row.revenue[order.currency] || 0) +
+          toMinorUnits(order.paidAmount) - toMinorUnits(order.refundedAmount || 0);
+      }
+    }
+  }
+
+  const finish = (row) => ({
+    ...row,
+    conversionRate: row.checkoutsStarted ? Math.round(row.checkoutsPaid / row.checkoutsStarted * 10000) / 10000 : null,
+    revenue: Object.fromEntries(Object.entries(row.revenue).map(([currency, minor]) => [currency, minor / 100]))
+  });
+  const result = { totals: finish(totals) };
+  for (const group of ANALYTICS_GROUPS) {
+    result[group] = [...groups[group].values()]
+      .map(finish)
+      .sort((a, b) => group === 'day' ? a.key.localeCompare(b.key) : b.paidOrders - a.paidOrders || a.key.localeCompare(b.key));
+  }
+  return result;
+}
+
+// GET /api/admin/analytics?from=2026-01-01&to=2026-01-31&productId=course  (defaults to the last 30 days)
+//   format=csv&groupBy=day|product|currency|country|source  one CSV row per group and currency
+app.get('/api/admin/analytics', requireAdmin, validate({
+    query: {
+        from: { type: 'date' },
+        to: { type: 'date' },
+        productId: { type: 'string', max: 64 },
+        format: { type: 'string', enum: ['json', 'csv'] },
+        groupBy: { type: 'string', enum: ANALYTICS_GROUPS }
+    }
+}), (req, res) => {
+    // Bare dates are business days, like the byDay rows and the /sales command
+    const range = parseDateRange(req.query, BUSINESS_TIMEZONE);
+    if (range.error) {
+        return res.status(400).json({ success: false, message: range.error });
+    }
+
+    const start = range.start || startOfZonedDay(new Date(), BUSINESS_TIMEZONE, 29);
+    const end = range.end || new Date();
+    const analytics = salesAnalytics({ start, end, productId: req.query.productId });
+
+    if (req.query.format !== 'csv') {
+        return res.json({
+            success: true,
+            data: {
+                from: start.toISOString(),
+                to: end.toISOString(),
+                timeZone: BUSINESS_TIMEZONE,
+                totals: analytics.totals,
+                byDay: analytics.day,
+                byProduct: analytics.product,
+                byCurrency: analytics.currency,
+                byCountry: analytics.country,
+                bySource: analytics.source
+            }
+        });
     }
 
-    const safeName = (fullName || 'there').trim();
-    const subject = `${courseTitle}: Your download link (Order ${reference})`;
-
-    const htmlContent = `
-    <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Ubuntu,Arial,sans-serif;line-height:1.6;color:#111">
-      <h2 style="margin:0 0 12px">Payment confirmed ✅</h2>
-      <p>Dear ${safeName},</p>
-      <p>Thanks for your purchase of <strong>${courseTitle}</strong>. Your download link is below:</p>
-      <p>
-        <a href="${downloadUrl}" 
-           style="background:#1a56db;color:#fff;padding:12px 18px;border-radius:8px;text-decoration:none;display:inline-block">
-          Download your course
-        </a>
-      </p>
-      <p>If the button above doesn't work, copy &amp; paste this link:<br>
-        <a href="${downloadUrl}">${downloadUrl}</a>
-      </p>
-      <hr style="border:none;border-top:1px solid #eee;margin:20px 0">
-      <p style="font-size:13px;color:#555">Order ref: <strong>${reference}</strong></p>
-      <p style="font-size:12px;color:#777">This is a transactional email sent automatically after your purchase.</p>
-    </div>`.trim();
-
-    const textContent = [
-      `Payment confirmed`,
-      ``,
-      `Dear ${safeName},`,
-      `Thanks for your purchase of ${courseTitle}.`,
-      `Download link: ${downloadUrl}`,
-      ``,
-      `Order ref: ${reference}`,
-    ].join('\n');
+    const groupBy = req.query.groupBy || 'day';
+    const rows = [[groupBy, 'checkouts_started', 'checkouts_paid', 'conversion_rate', 'paid_orders', 'refunded_orders', 'currency', 'revenue']];
+    for (const row of analytics[groupBy]) {
+        const revenue = Object.entries(row.revenue);
+        for (const [currency, amount] of revenue.length ? revenue : [['', 0]]) {
+            rows.push([row.key, row.checkoutsStarted, row.checkoutsPaid, row.conversionRate ?? '', row.paidOrders, row.refundedOrders, currency, amount]);
+        }
+    }
 
-    // Create email parameters
-    const sentFrom = new Sender(FROM_EMAIL, FROM_NAME);
-    const recipients = [new Recipient(email, safeName)];
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="sales-by-${groupBy}-${start.toISOString().slice(0, 10)}-${end.toISOString().slice(0, 10)}.csv"`);
+    return res.send(rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n');
+});
 
-    const emailParams = new EmailParams()
-      .setFrom(sentFrom)
-      .setTo(recipients)
-      .setSubject(subject)
-      .setHtml(htmlContent)
-      .setText(textContent);
+// --- Admin: affiliates and commission payouts ---
+function affiliateSummary(affiliate) {
+  return {
+    code: affiliate.code,
+    name: affiliate.name || null,
+    email: affiliate.email || null,
+    commissionPercent: affiliate.commissionPercent,
+    active: affiliate.active !== false,
+    balances: affiliateBalances(affiliate.code)
+  };
+}
 
-    // Send the email - MailerSend returns response with .body property
-    const response = await mailerSend.email.send(emailParams);
+app.get('/api/admin/affiliates', requireAdmin, (req, res) => {
+    const list = [...affiliates.values()].map(affiliateSummary);
+    res.json({ success: true, count: list.length, data: list });
+});
 
-    console.log('✅ EMAIL SENT SUCCESSFULLY!');
-    console.log(`   Status: ${response.status || 'N/A'}`);
-    console.log(`   Status Text: ${response.statusText || 'N/A'}`);
-    
-    // MailerSend returns message ID in response headers
-    const messageId = response.headers ? response.headers['x-message-id'] : null;
-    if (messageId) {
-      console.log(`   Message ID: ${messageId}`);
-    }
-    
-    // Log response body if available
-    if (response.body) {
-      console.log(`   Response Body:`, response.body);
-    }
-    
-    console.log('');
-    
-    return { 
-      success: true, 
-      messageId: messageId || 'sent',
-      status: response.status,
-      response: response
-    };
-  } catch (error) {
-    console.error('❌ EMAIL SENDING FAILED!');
-    
-    // MailerSend errors have .body property
-    if (error.body) {
-      console.error(`   Error Body:`, error.body);
-    }
-    
-    if (error.message) {
-      console.error(`   Error Message: ${error.message}`);
+// One affiliate with its ledger (commissions, reversals and payouts, oldest first)
+app.get('/api/admin/affiliates/:code', requireAdmin, validate({
+    params: { code: { type: 'string', required: true, max: 40 } }
+}), (req, res) => {
+    const affiliate = affiliates.get(normalizeReferralCode(req.params.code));
+    if (!affiliate) {
+        return res.status(404).json({ success: false, message: 'Affiliate not found' });
     }
-    
-    if (error.status) {
-      console.error(`   Status: ${error.status}`);
+
+    const ledger = affiliateLedger.filter(entry => entry.affiliate === affiliate.code);
+    return res.json({ success: true, data: { ...affiliateSummary(affiliate), ledger } });
+});
+
+// Mark the pending balance as paid out. Body: { currency?, note? } - without a currency every
+// currency with a positive pending balance is settled.
+app.post('/api/admin/affiliates/:code/payouts', requireAdmin, validate({
+    params: { code: { type: 'string', required: true, max: 40 } },
+    body: {
+        currency: { type: 'string', pattern: /^[A-Za-z]{3}$/ },
+        note: { type: 'string', max: 500 }
     }
-    
-    if (error.statusText) {
-      console.error(`   Status Text: ${error.statusText}`);
+}), (req, res) => {
+    const affiliate = affiliates.get(normalizeReferralCode(req.params.code));
+    if (!affiliate) {
+        return res.status(404).json({ success: false, message: 'Affiliate not found' });
     }
-    
-    // Log the full error for debugging
-    console.error(`   Full Error:`, error);
-    
-    console.error('');
-    throw error; // Re-throw to handle in calling function
-  }
-}
-
-// Initialize Paystack transaction
-app.post('/api/initialize-payment', async (req, res) => {
-    try {
-        const { email, fullName, amount, gclid } = req.body;
 
-        // Validate input
-        if (!email || !fullName || !amount) {
-            return res.status(400).json({
-                success: false,
-                message: 'Missing required fields: email, fullName, amount'
-            });
-        }
+    const currency = req.body.currency?.toUpperCase();
+    const due = Object.entries(affiliateBalances(affiliate.code))
+        .filter(([code, balance]) => (!currency || code === currency) && balance.pending > 0);
+    if (!due.length) {
+        return res.status(409).json({ success: false, message: 'Nothing to settle' });
+    }
 
-        // Generate unique reference
-        const reference = `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-        // Initialize Paystack transaction
-        const paystackResponse = await axios.post(
-            'https://api.paystack.co/transaction/initialize',
-            {
-                email: email,
-                amount: amount * 100, // Convert to kobo (smallest unit)
-                reference: reference,
-                metadata: {
-                    full_name: fullName,
-                    gclid: gclid || 'direct',
-                    custom_fields: [
-                        {
-                            display_name: "Full Name",
-                            variable_name: "full_name",
-                            value: fullName
-                        }
-                    ]
-                },
-                callback_url: `${req.headers.origin}/paycomplete.html`
-            },
-            {
-                headers: {
-                    Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+    const payouts = due.map(([code, balance]) => appendLedgerEntry({
+        type: 'payout',
+        affiliate: affiliate.code,
+        currency: code,
+        amount: balance.pending,
+        note: req.body.note || null
+    }));
+    logger.info('Admin settled affiliate commissions', { affiliate: affiliate.code, payouts: payouts.map(({ currency, amount }) => ({ currency, amount })) });
+    return res.json({ success: true, data: { payouts, ...affiliateSummary(affiliate) } });
+});
 
-        if (paystackResponse.data.status) {
-            res.json({
-                success: true,
-                data: {
-                    authorization_url: paystackResponse.data.data.authorization_url,
-                    access_code: paystackResponse.data.data.access_code,
-                    reference: reference
-                }
-            });
-        } else {
-            res.status(400).json({
-                success: false,
-                message: 'Failed to initialize payment'
-            });
-        }
-    } catch (error) {
-        console.error('Payment initialization error:', error.response?.data || error.message);
-        res.status(500).json({
-            success: false,
-            message: 'Server error during payment initialization',
-            error: error.message
-        });
+// --- Admin: inspect and retry background jobs ---
+app.get('/api/admin/jobs', requireAdmin, validate({
+    query: {
+        status: { type: 'string', enum: ['pending', 'done', 'dead', 'all'] },
+        reference: { type: 'string', max: 100 },
+        type: { type: 'string', max: 100 }
     }
+}), (req, res) => {
+    const { status = 'dead', reference, type } = req.query;
+    const list = [...jobs.values()].filter(job =>
+        (status === 'all' || job.status === status) &&
+        (!reference || job.reference === reference) &&
+        (!type || job.type === type));
+
+    res.json({ success: true, count: list.length, data: list });
 });
 
-// Verify Paystack transaction
-app.get('/api/verify-payment/:reference', async (req, res) => {
-    try {
-        const { reference } = req.params;
+app.post('/api/admin/jobs/retry-dead', requireAdmin, (req, res) => {
+    const dead = [...jobs.values()].filter(job => job.status === 'dead');
+    for (const job of dead) {
+        recordJob(job.id, 'requeued');
+    }
 
-        const paystackResponse = await axios.get(
-            `https://api.paystack.co/transaction/verify/${reference}`,
-            {
-                headers: {
-                    Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`
-                }
-            }
-        );
+    runDueJobs().catch(error => logger.error('Job worker error', { error: error.message }));
+    res.json({ success: true, requeued: dead.map(job => job.id) });
+});
 
-        if (paystackResponse.data.status && paystackResponse.data.data.status === 'success') {
-            res.json({
-                success: true,
-                data: paystackResponse.data.data
-            });
-        } else {
-            res.json({
-                success: false,
-                message: 'Payment verification failed'
-            });
-        }
-    } catch (error) {
-        console.error('Payment verification error:', error.response?.data || error.message);
-        res.status(500).json({
-            success: false,
-            message: 'Server error during payment verification',
-            error: error.message
-        });
+app.post('/api/admin/jobs/:id/retry', requireAdmin, validate({
+    params: { id: { type: 'string', required: true, max: 300 } }
+}), async (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, message: 'Job not found' });
     }
+    if (job.status === 'done') {
+        return res.status(409).json({ success: false, message: 'Job already completed' });
+    }
+
+    const outcome = await runJob(job.status === 'dead' ? recordJob(job.id, 'requeued') : job);
+    return res.json({ success: outcome.status === 'done', data: outcome });
 });
 
-// Send conversion data to Telegram
-app.post('/api/send-telegram-notification', async (req, res) => {
-    try {
-        const { fullName, email, gclid, amount, reference, country, ip } = req.body;
-
-        // Format message for easy Google Ads upload (Telegram HTML)
-        const message = [
-            '🎉 <b>NEW CONVERSION</b> 🎉',
-            '',
-            '<b>Customer Details:</b>',
-            `Full Name: ${esc(fullName)}`,
-            `Email: ${esc(email)}`,
-            '',
-            '<b>Transaction Details:</b>',
-            `Amount: ${esc('₦' + String(amount))}`,
-            `Reference: ${esc(reference)}`,
-            `Country: ${esc(country || 'NG')}`,
-            `IP Address: ${esc(ip || 'N/A')}`,
-            '',
-            '<b>Google Ads Data:</b>',
-            `GCLID: ${esc(gclid || 'direct')}`,
-            `Conversion Time: ${esc(new Date().toISOString())}`,
-            '',
-            '<b>For Google Ads Upload:</b>',
-            `<pre>GCLID: ${esc(gclid || 'direct')}
-Conversion Name: Purchase
-Conversion Time: ${esc(new Date().toISOString())}
-Conversion Value: ${esc(String(amount))}
-Conversion Currency: NGN</pre>`
-        ].join('\n');
-
-        await axios.post(
-            `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`,
-            {
-                chat_id: TELEGRAM_CHAT_ID,
-                text: message,
-                parse_mode: 'HTML',
-                disable_web_page_preview: true
-            }
-        );
+// --- Admin: outbound webhook subscribers and deliveries ---
+app.get('/api/admin/webhook-subscribers', requireAdmin, (req, res) => {
+    const list = [...webhookSubscribers.values()].map(({ secret, ...subscriber }) => subscriber);
+    res.json({ success: true, count: list.length, data: list });
+});
 
-        res.json({ success: true, message: 'Telegram notification sent' });
-    } catch (error) {
-        console.error('Telegram notification error:', error.response?.data || error.message);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to send Telegram notification',
-            error: error.message
-        });
+// GET /api/admin/webhook-deliveries?subscriberId=lms&status=dead&reference=txn_...
+app.get('/api/admin/webhook-deliveries', requireAdmin, validate({
+    query: {
+        subscriberId: { type: 'string', max: 100 },
+        status: { type: 'string', enum: ['pending', 'done', 'dead'] },
+        reference: { type: 'string', max: 100 }
     }
-});
+}), (req, res) => {
+    const { subscriberId, status, reference } = req.query;
+    const list = [...jobs.values()]
+        .filter(job => job.type === 'webhook.deliver')
+        .filter(job => (!subscriberId || job.payload.subscriberId === subscriberId) &&
+            (!status || job.status === status) &&
+            (!reference || job.reference === reference))
+        .map(job => ({
+            id: job.id,
+            subscriberId: job.payload.subscriberId,
+            event: job.payload.event.type,
+            eventId: job.payload.event.id,
+            reference: job.reference,
+            status: job.status,
+            nextRunAt: job.nextRunAt,
+            lastError: job.lastError,
+            attempts: webhookDeliveryAttempts.get(job.id) || []
+        }));
 
-// --- Idempotency cache for processed references (in-memory) ---
-const processedReferences = new Set();
+    res.json({ success: true, count: list.length, data: list });
+});
 
-// --- Shared processor: verify (if needed), send Telegram, send email ---
-async function handleSuccessfulPayment({
-    reference,
-    email,
-    fullName,
-    amountNaira,
-    currency = 'NGN',
-    gclid = 'direct',
-    ipAddress = 'N/A',
-    country = 'NG'
-}) {
-    console.log('\n🔄 Processing payment...');
-    console.log(`   Reference: ${reference}`);
-    console.log(`   Customer: ${fullName} (${email})`);
-    console.log(`   Amount: ${currency} ${amountNaira}`);
-    
-    if (processedReferences.has(reference)) {
-        console.log('⚠️  Payment already processed (duplicate prevented)');
-        return { alreadyProcessed: true };
+// Send a delivery's payload again (same event id, fresh signature) as a new delivery
+app.post('/api/admin/webhook-deliveries/:id/redeliver', requireAdmin, validate({
+    params: { id: { type: 'string', required: true, max: 300 } }
+}), async (req, res) => {
+    const original = jobs.get(req.params.id);
+    if (!original || original.type !== 'webhook.deliver') {
+        return res.status(404).json({ success: false, message: 'Delivery not found' });
+    }
+    if (!webhookSubscribers.has(original.payload.subscriberId)) {
+        return res.status(409).json({ success: false, message: 'Subscriber is no longer configured' });
     }
 
-    try {
-        // 1) Send Telegram notification (HTML + escaped values)
-        console.log('\n📱 Sending Telegram notification...');
-        const message = [
-            '🎉 <b>NEW CONVERSION</b> 🎉',
-            '',
-            '<b>Customer Details:</b>',
-            `Full Name: ${esc(fullName)}`,
-            `Email: ${esc(email)}`,
-            '',
-            '<b>Transaction Details:</b>',
-            `Amount: ${esc(`${currency} ${amountNaira}`)}`,
-            `Reference: ${esc(reference)}`,
-            `Country: ${esc(country)}`,
-            `IP Address: ${esc(ipAddress)}`,
-            '',
-            '<b>Google Ads Data:</b>',
-            `GCLID: ${esc(gclid)}`,
-            `Conversion Time: ${esc(new Date().toISOString())}`,
-            '',
-            '<b>For Google Ads Upload:</b>',
-            `<pre>GCLID: ${esc(gclid)}
-Conversion Name: Purchase
-Conversion Time: ${esc(new Date().toISOString())}
-Conversion Value: ${esc(String(amountNaira))}
-Conversion Currency: ${esc(currency)}</pre>`
-        ].join('\n');
-
-        await axios.post(
-            `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`,
-            {
-                chat_id: TELEGRAM_CHAT_ID,
-                text: message,
-                parse_mode: 'HTML',
-                disable_web_page_preview: true
-            }
-        );
-        console.log('✅ Telegram notification sent successfully');
+    const { job } = enqueueJob(
+        'webhook.deliver',
+        `${original.payload.subscriberId}:${original.payload.event.id}:manual-${Date.now()}`,
+        original.payload,
+        original.reference
+    );
+    logger.info('Admin webhook redelivery', { original: original.id, job: job.id });
+    const outcome = await runJob(job);
+    return res.json({
+        success: outcome.status === 'done',
+        data: { id: outcome.id, status: outcome.status, attempts: webhookDeliveryAttempts.get(outcome.id) || [] }
+    });
+});
 
-        // 2) Send the download email via MailerSend API
-        const emailResult = await sendDownloadEmailMailerSend({
-            fullName,
-            email,
-            downloadUrl: DOWNLOAD_URL,
-            reference,
-            courseTitle: COURSE_TITLE
-        });
+// --- Telegram bot commands for operators ---
+// Register with: https://api.telegram.org/bot<token>/setWebhook?url=<PUBLIC_BASE_URL>/api/webhook/telegram&secret_token=<TELEGRAM_WEBHOOK_SECRET>
+// TELEGRAM_WEBHOOK_SECRET is required: without it the route answers 503.
+const STUCK_ORDER_MINUTES = 15;
 
-        processedReferences.add(reference);
-        console.log('✅ Payment processing completed successfully!\n');
-        
-        return { 
-            alreadyProcessed: false, 
-            emailSent: true,
-            messageId: emailResult.messageId 
-        };
-    } catch (error) {
-        console.error('❌ Error during payment processing:', error.message);
-        throw error;
+function salesSummary(since) {
+  const paid = [...orders.values()].filter(order => order.verifiedAt && new Date(order.verifiedAt) >= since);
+  const byCurrency = {};
+  let refunded = 0;
+  for (const order of paid) {
+    if (order.state === 'refunded') {
+      refunded++;
+      continue;
     }
+    byCurrency[order.currency] = (byCurrency[order.currency] || 0) + toMinorUnits(order.paidAmount);
+  }
+
+  const started = [...orders.values()].filter(order => new Date(order.createdAt) >= since).length;
+  return { paid: paid.length - refunded, refunded, started, byCurrency };
 }
 
-// --- New: Orchestrator endpoint the frontend calls from paycomplete.html ---
-app.post('/api/process-order', async (req, res) => {
-    try {
-        const { email, fullName, reference, gclid, ipAddress, country } = req.body;
-        if (!email || !fullName || !reference) {
-            return res.status(400).json({ success: false, message: 'Missing email, fullName or reference' });
-        }
+// Paid orders whose download email has not gone out after a while
+function stuckOrders() {
+  const cutoff = Date.now() - STUCK_ORDER_MINUTES * 60000;
+  return [...orders.values()].filter(order =>
+    (order.state === 'failed' && order.verifiedAt) ||
+    (['verified', 'notified'].includes(order.state) && new Date(order.verifiedAt) < cutoff));
+}
 
-        // Verify the transaction status via Paystack (required best-practice)
-        const verify = await axios.get(
-            `https://api.paystack.co/transaction/verify/${reference}`,
-            { headers: { Authorization: `Bearer ${PAYSTACK_SECRET_KEY}` } }
-        );
+const telegramCommands = {
+  async sales([period = 'today']) {
+    if (!['today', 'week'].includes(period)) return 'Usage: /sales today|week';
 
-        const data = verify.data?.data;
-        if (!(verify.data?.status && data?.status === 'success')) {
-            return res.status(400).json({ success: false, message: 'Verification failed' });
-        }
+    const since = startOfZonedDay(new Date(), BUSINESS_TIMEZONE, period === 'week' ? 6 : 0);
+    const summary = salesSummary(since);
+    const revenue = Object.entries(summary.byCurrency)
+      .map(([currency, minor]) => `${esc(currency)} ${esc((minor / 100).toLocaleString('en-US'))}`);
 
-        // Convert kobo -> naira
-        const amountNaira = Math.round(Number(data.amount) || 0) / 100;
-        const currency = data.currency || 'NGN';
+    return [
+      `📊 <b>Sales ${period === 'week' ? 'last 7 days' : 'today'}</b>`,
+      '',
+      `Revenue: ${revenue.length ? revenue.join(', ') : '0'}`,
+      `Paid orders: ${summary.paid}`,
+      `Refunded: ${summary.refunded}`,
+      `Checkouts started: ${summary.started}`
+    ].join('\n');
+  },
 
-        const result = await handleSuccessfulPayment({
-            reference,
-            email,
-            fullName,
-            amountNaira,
-            currency,
-            gclid,
-            ipAddress,
-            country
-        });
+  async order([reference]) {
+    if (!reference) return 'Usage: /order &lt;reference&gt;';
+    const order = getOrder(reference);
+    if (!order) return `Order ${esc(reference)} not found`;
 
-        return res.json({
-            success: true,
-            message: result.alreadyProcessed ? 'Already processed' : 'Processed',
-            emailSent: result.emailSent || false
-        });
-    } catch (error) {
-        console.error('process-order error:', error.response?.data || error.message);
-        return res.status(500).json({ 
-            success: false, 
-            message: 'Server error', 
-            error: error.message 
-        });
-    }
-});
+    const timeline = order.history.slice(-15).map(entry =>
+      `${esc(entry.at.replace('T', ' ').slice(0, 19))} ${esc(entry.state || '·')}${entry.note ? ` - ${esc(entry.note)}` : ''}`);
+    return [
+      `🧾 <b>Order ${esc(order.reference)}</b>`,
+      `State: ${esc(order.state)}`,
+      `Customer: ${esc(order.fullName || 'N/A')} (${esc(order.email || 'N/A')})`,
+      `Amount: ${esc(`${order.currency || ''} ${order.paidAmount ?? order.amount ?? 'N/A'}`)}`,
+      `Downloads: ${order.downloads || 0}`,
+      '',
+      '<b>Timeline:</b>',
+      `<pre>${timeline.join('\n')}</pre>`
+    ].join('\n');
+  },
 
-// --- Enhanced webhook: also calls the shared processor (server-side fallback) ---
-app.post('/api/webhook/paystack', (req, res) => {
-    try {
-        const hash = crypto
-            .createHmac('sha512', PAYSTACK_SECRET_KEY)
-            .update(JSON.stringify(req.body)) // works if body-parser hasn't altered key order
-            .digest('hex');
+  async resend([reference]) {
+    if (!reference) return 'Usage: /resend &lt;reference&gt;';
+    const order = getOrder(reference);
+    if (!order) return `Order ${esc(reference)} not found`;
 
-        if (hash !== req.headers['x-paystack-signature']) {
-            console.log('❌ Invalid webhook signature');
-            return res.sendStatus(400);
-        }
+    const blocked = resendBlockedReason(order);
+    if (blocked) return `Cannot resend: ${esc(blocked)}`;
 
-        const event = req.body;
-        if (event?.event === 'charge.success') {
-            const ref = event.data?.reference;
-            console.log('\n🔔 Webhook received: Payment successful');
-            console.log(`   Reference: ${ref}`);
-
-            // Pull details from event payload
-            const email = event.data?.customer?.email || event.data?.authorization?.email;
-            const fullName = event.data?.metadata?.full_name || `${event.data?.customer?.first_name || ''} ${event.data?.customer?.last_name || ''}`.trim() || 'Customer';
-            const gclid = event.data?.metadata?.gclid || 'direct';
-            const amountNaira = Math.round(Number(event.data?.amount) || 0) / 100;
-            const currency = event.data?.currency || 'NGN';
-            const ipAddress = event.data?.ip_address || req.ip;
-            const country = event.data?.customer?.country || 'NG';
-
-            // Fire and forget; don't block the webhook response
-            handleSuccessfulPayment({
-                reference: ref,
-                email,
-                fullName,
-                amountNaira,
-                currency,
-                gclid,
-                ipAddress,
-                country
-            }).catch(err => {
-                const resp = err.response;
-                console.error('Webhook processing error:', {
-                    status: resp?.status,
-                    statusText: resp?.statusText,
-                    data: resp?.data || err.message
-                });
-            });
-        }
+    const outcome = await resendDownloadEmail(order, { note: 'Telegram: download email resent' });
+    return outcome.status === 'done'
+      ? `✅ Download email resent to ${esc(order.email)}`
+      : `⚠️ Resend failed (${esc(outcome.lastError || 'unknown error')}) - queued for retry`;
+  },
 
-        return res.sendStatus(200);
+  async failed() {
+    const stuck = stuckOrders().slice(0, 20);
+    const dead = [...jobs.values()].filter(job => job.status === 'dead').slice(0, 20);
+    if (!stuck.length && !dead.length) return '✅ No stuck fulfilments';
+
+    return [
+      `🚨 <b>Stuck fulfilments: ${stuck.length}</b>`,
+      ...stuck.map(order => `• <code>${esc(order.reference)}</code> ${esc(order.state)} - ${esc(order.email || 'N/A')}`),
+      '',
+      `<b>Dead jobs: ${dead.length}</b>`,
+      ...dead.map(job => `• <code>${esc(job.id)}</code> - ${esc(job.lastError || '')}`)
+    ].join('\n');
+  },
+
+  async help() {
+    return [
+      '<b>Commands</b>',
+      '/sales today|week - revenue and order counts',
+      '/order &lt;reference&gt; - order timeline',
+      '/resend &lt;reference&gt; - resend the download email',
+      '/failed - stuck fulfilments'
+    ].join('\n');
+  }
+};
+
+// The chat id in the body is only trusted once the secret token proves the update comes from Telegram.
+// The token is checked before the body is validated, so unauthenticated callers learn nothing about it.
+function requireTelegramSecret(req, res, next) {
+  if (!TELEGRAM_WEBHOOK_SECRET) {
+    return res.status(503).json({ success: false, message: 'Telegram bot commands are not configured' });
+  }
+  if (!safeEqual(req.headers['x-telegram-bot-api-secret-token'], TELEGRAM_WEBHOOK_SECRET)) {
+    metrics.webhookSignatureFailures.inc({ source: 'telegram' });
+    return res.sendStatus(401);
+  }
+  return next();
+}
+
+app.post('/api/webhook/telegram', limitByIp('telegram-webhook', 120), requireTelegramSecret, validate({
+    body: { update_id: { type: 'number', required: true } }
+}), async (req, res) => {
+    // Always acknowledge so Telegram does not redeliver; replies are sent separately
+    res.sendStatus(200);
+
+    const message = req.body?.message || req.body?.edited_message;
+    const chatId = String(message?.chat?.id || '');
+    const text = String(message?.text || '').trim();
+    if (!chatId || !text.startsWith('/')) return;
+
+    if (!TELEGRAM_ALLOWED_CHAT_IDS.includes(chatId)) {
+        logger.warn('Ignoring Telegram command from a chat that is not allow-listed', { chatId });
+        return;
+    }
+
+    const [rawCommand, ...args] = text.split(/\s+/);
+    const command = rawCommand.slice(1).split('@')[0].toLowerCase();
+    const handler = telegramCommands[command] || telegramCommands.help;
+
+    try {
+        logger.info('Telegram command', { command, chatId });
+        await sendTelegramMessage(await handler(args), chatId);
     } catch (error) {
-        console.error('Webhook error:', error);
-        return res.sendStatus(500);
+        logger.error('Telegram command error', { error: error.response?.data || error.message });
+        sendTelegramMessage(`❌ Command failed: ${esc(error.message)}`, chatId).catch(() => {});
     }
 });
 
@@ -544,46 +4286,104 @@ app.get('/api/health', (req, res) => {
         success: true,
         message: 'Server is running',
         timestamp: new Date().toISOString(),
+        sandbox: SANDBOX_MODE,
         mailersend: {
             configured: !!mailerSend,
             apiKey: !!MAILERSEND_API_KEY,
             fromEmail: !!FROM_EMAIL
+        },
+        emailTransports: emailTransportStatus(),
+        paymentProviders: Object.fromEntries(
+            Object.values(paymentProviders).map(provider => [provider.name, { configured: provider.configured() }])
+        ),
+        jobs: {
+            pending: [...jobs.values()].filter(job => job.status === 'pending').length,
+            dead: [...jobs.values()].filter(job => job.status === 'dead').length
         }
     });
 });
 
-// Test email endpoint for debugging
-app.post('/api/test-email', async (req, res) => {
+// Prometheus scrape target: `Authorization: Bearer <METRICS_TOKEN>` (defaults to ADMIN_API_KEY)
+app.get('/metrics', (req, res) => {
+    if (!METRICS_TOKEN) {
+        return res.status(503).json({ success: false, message: 'METRICS_TOKEN is not configured' });
+    }
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!safeEqual(token, METRICS_TOKEN)) {
+        return res.status(401).json({ success: false, message: 'Unauthorized' });
+    }
+
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    return res.send(renderMetrics());
+});
+
+// --- Admin: email templates ---
+// GET /api/admin/email-templates/preview?type=purchase&productId=course&language=fr&format=html
+app.get('/api/admin/email-templates', requireAdmin, (req, res) => {
+    res.json({ success: true, data: [...emailTemplates.keys()].sort() });
+});
+
+app.get('/api/admin/email-templates/preview', requireAdmin, validate({
+    query: {
+        type: { type: 'string', enum: EMAIL_TYPES },
+        productId: { type: 'string', max: 64 },
+        language: { type: 'string', pattern: LOCALE_PATTERN },
+        format: { type: 'string', enum: ['json', 'html', 'text'] }
+    }
+}), (req, res) => {
+    const { type = 'purchase', productId, language = DEFAULT_LANGUAGE, format } = req.query;
+
     try {
-        const { email, name } = req.body;
-        
-        if (!email) {
-            return res.status(400).json({
-                success: false,
-                message: 'Email is required'
-            });
-        }
+        const product = getProduct(productId);
+        const content = renderEmail(type, {
+            productId: product?.id,
+            language,
+            vars: sampleEmailVars(product, { language })
+        });
+
+        if (format === 'html') return res.type('html').send(content.html);
+        if (format === 'text') return res.type('text').send(content.text);
+        return res.json({ success: true, data: content });
+    } catch (error) {
+        return res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Test email endpoint: sends a template rendered with sample data.
+// Body: { email, name?, type?, productId?, language? }
+app.post('/api/test-email', requireAdmin, limitByIp('test-email', 10), validate({
+    body: {
+        email: { type: 'email', required: true },
+        name: { type: 'string', max: 100 },
+        type: { type: 'string', enum: EMAIL_TYPES },
+        productId: { type: 'string', max: 64 },
+        language: { type: 'string', pattern: LOCALE_PATTERN }
+    }
+}), limitByEmail('test-email', 5), async (req, res) => {
+    try {
+        const { email, name, type = 'purchase', productId, language = DEFAULT_LANGUAGE } = req.body;
 
-        console.log('\n🧪 Testing email sending...');
-        console.log(`   Test Email: ${email}`);
-        console.log(`   Test Name: ${name || 'Test User'}`);
+        logger.info('Sending test email', { email, type, language });
 
-        const result = await sendDownloadEmailMailerSend({
-            fullName: name || 'Test User',
-            email: email,
-            downloadUrl: 'https://example.com/test-download',
-            reference: 'TEST_' + Date.now(),
-            courseTitle: 'Test Course'
+        const product = getProduct(productId);
+        const vars = sampleEmailVars(product, { language, name: name || 'Test User' });
+        const content = renderEmail(type, { productId: product?.id, language, vars });
+        const result = await deliverEmail({
+            to: email,
+            toName: vars.name,
+            subject: `[TEST] ${content.subject}`,
+            html: content.html,
+            text: content.text
         });
 
         res.json({
             success: true,
             message: 'Test email sent successfully',
-            result: result
+            result: { ...result, template: content.template }
         });
 
     } catch (error) {
-        console.error('Test email failed:', error);
+        logger.error('Test email failed', { error });
         
         res.status(500).json({
             success: false,
@@ -592,27 +4392,296 @@ app.post('/api/test-email', async (req, res) => {
                 message: error.message,
                 body: error.body,
                 status: error.status,
-                statusText: error.statusText
+                statusText: error.statusText,
+                attempts: error.attempts
             }
         });
     }
 });
 
-// Start server with MailerSend test
+// --- Sandbox stand-ins (SANDBOX_MODE=true only) ---
+// Paystack and Telegram calls go to these routes on this server instead of the real APIs, emails
+// go to the "sandbox" transport and subscriber webhooks are recorded instead of delivered, so initialize -> checkout -> signed webhook -> fulfilment
+// -> email runs end to end with no network. Every outbound call is kept in memory (the newest
+// SANDBOX_OUTBOX_LIMIT) and shown by GET /api/admin/sandbox/outbox.
+// Pay for a sandbox checkout by opening its authorization_url, or:
+//   curl -d outcome=success <PUBLIC_BASE_URL>/sandbox/paystack/checkout/<reference>
+const SANDBOX_OUTBOX_LIMIT = 500;
+const sandboxOutbox = [];
+const sandboxTransactions = new Map(); // reference -> transaction in Paystack's shape
+let sandboxCallCount = 0;
+
+function recordSandboxCall(service, action, details = {}) {
+  const entry = { id: ++sandboxCallCount, at: new Date().toISOString(), service, action, ...details };
+  sandboxOutbox.push(entry);
+  if (sandboxOutbox.length > SANDBOX_OUTBOX_LIMIT) sandboxOutbox.shift();
+  logger.info('Sandbox call recorded', { service, action });
+  return entry;
+}
+
+// Signed exactly like Paystack signs its webhooks, and delivered to our own webhook route
+async function sendSandboxPaystackWebhook(event, data) {
+  const body = JSON.stringify({ event, data });
+  const entry = recordSandboxCall('paystack', `webhook ${event}`, { request: { event, data } });
+  try {
+    const response = await axios.post(`http://127.0.0.1:${PORT}/api/webhook/paystack`, body, {
+      timeout: 10 * 1000,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-paystack-signature': crypto.createHmac('sha512', PAYSTACK_SECRET_KEY).update(body).digest('hex')
+      }
+    });
+    entry.response = { status: response.status };
+  } catch (error) {
+    entry.response = { status: error.response?.status || null, error: error.message };
+    logger.error('Sandbox webhook was not accepted', { event, error: error.message });
+  }
+}
+
+if (SANDBOX_MODE) {
+    const sandbox = express.Router();
+
+    const paystackAuth = (req, res, next) => {
+        if (!safeEqual(req.headers.authorization || '', `Bearer ${PAYSTACK_SECRET_KEY}`)) {
+            return res.status(401).json({ status: false, message: 'Invalid key' });
+        }
+        return next();
+    };
+
+    sandbox.post('/paystack/transaction/initialize', paystackAuth, (req, res) => {
+        const { email, amount, currency = 'NGN', reference, metadata = {}, callback_url: callbackUrl } = req.body;
+        if (!email || !(Number(amount) > 0) || !reference) {
+            return res.status(400).json({ status: false, message: 'Email, amount and reference are required' });
+        }
+        if (sandboxTransactions.has(reference)) {
+            return res.status(400).json({ status: false, message: 'Duplicate Transaction Reference' });
+        }
+
+        const [firstName, ...lastName] = String(metadata.full_name || '').split(' ');
+        const transaction = {
+            id: sandboxCallCount + 1,
+            reference,
+            status: 'abandoned', // What Paystack reports until the customer pays
+            amount: Number(amount),
+            currency,
+            channel: null,
+            gateway_response: null,
+            paid_at: null,
+            created_at: new Date().toISOString(),
+            ip_address: '127.0.0.1',
+            metadata,
+            customer: { email, first_name: firstName || null, last_name: lastName.join(' ') || null },
+            authorization: null,
+            callback_url: callbackUrl || null
+        };
+        sandboxTransactions.set(reference, transaction);
+
+        const data = {
+            authorization_url: `${PUBLIC_BASE_URL}/sandbox/paystack/checkout/${encodeURIComponent(reference)}`,
+            access_code: `sandbox_${transaction.id}`,
+            reference
+        };
+        recordSandboxCall('paystack', 'transaction.initialize', { request: req.body, response: data });
+        return res.json({ status: true, message: 'Authorization URL created', data });
+    });
+
+    sandbox.get('/paystack/transaction/verify/:reference', paystackAuth, (req, res) => {
+        const transaction = sandboxTransactions.get(req.params.reference);
+        recordSandboxCall('paystack', 'transaction.verify', {
+            request: { reference: req.params.reference },
+            response: { status: transaction?.status || 'not found' }
+        });
+        if (!transaction) {
+            return res.status(400).json({ status: false, message: 'Transaction reference not found' });
+        }
+        return res.json({ status: true, message: 'Verification successful', data: transaction });
+    });
+
+    sandbox.get('/paystack/transaction', paystackAuth, (req, res) => {
+        const { status, from, to } = req.query;
+        const data = [...sandboxTransactions.values()].filter(transaction =>
+            (!status || transaction.status === status) &&
+            (!from || transaction.created_at >= new Date(from).toISOString()) &&
+            (!to || transaction.created_at <= new Date(to).toISOString()));
+        recordSandboxCall('paystack', 'transaction.list', { request: req.query, response: { count: data.length } });
+        return res.json({ status: true, message: 'Transactions retrieved', data, meta: { total: data.length, page: 1, pageCount: 1 } });
+    });
+
+    // Refunds are queued, then confirmed with a refund.processed webhook like the real thing
+    sandbox.post('/paystack/refund', paystackAuth, (req, res) => {
+        const transaction = sandboxTransactions.get(req.body.transaction) ||
+            [...sandboxTransactions.values()].find(candidate => String(candidate.id) === String(req.body.transaction));
+        if (!transaction || transaction.status !== 'success') {
+            recordSandboxCall('paystack', 'refund', { request: req.body, response: { error: 'Transaction cannot be refunded' } });
+            return res.status(400).json({ status: false, message: 'Transaction cannot be refunded' });
+        }
+
+        // Partial refunds add up; the transaction only reads as reversed once all of it is refunded
+        const remaining = transaction.amount - (transaction.refunded_amount || 0);
+        const amount = Number(req.body.amount) || remaining;
+        if (amount > remaining) {
+            recordSandboxCall('paystack', 'refund', { request: req.body, response: { error: 'Refund amount exceeds the refundable balance' } });
+            return res.status(400).json({ status: false, message: 'Refund amount cannot be greater than the refundable balance' });
+        }
+        transaction.refunded_amount = (transaction.refunded_amount || 0) + amount;
+        if (transaction.refunded_amount >= transaction.amount) transaction.status = 'reversed';
+        const refund = {
+            id: sandboxCallCount + 1,
+            refund_reference: `sandbox_refund_${sandboxCallCount + 1}`,
+            transaction_reference: transaction.reference,
+            amount,
+            currency: transaction.currency,
+            status: 'processed',
+            merchant_note: req.body.merchant_note || null
+        };
+        recordSandboxCall('paystack', 'refund', { request: req.body, response: { status: 'pending' } });
+        res.json({ status: true, message: 'Refund has been queued for processing', data: { ...refund, status: 'pending' } });
+        setTimeout(() => sendSandboxPaystackWebhook('refund.processed', refund), 500);
+    });
+
+    // The page authorization_url points at: pay or decline, then back to the callback URL
+    sandbox.get('/paystack/checkout/:reference', (req, res) => {
+        const transaction = sandboxTransactions.get(req.params.reference);
+        if (!transaction) {
+            return res.status(404).send('Unknown sandbox transaction');
+        }
+
+        const amount = `${transaction.currency} ${(transaction.amount / 100).toFixed(2)}`;
+        const action = `/sandbox/paystack/checkout/${encodeURIComponent(transaction.reference)}`;
+        return res.send([
+            '<!doctype html><meta charset="utf-8"><title>Sandbox checkout</title>',
+            '<body style="font-family:system-ui,sans-serif;max-width:420px;margin:60px auto">',
+            '<h2>🧪 Sandbox checkout</h2>',
+            `<p>${escHtml(transaction.customer.email)} pays <strong>${escHtml(amount)}</strong></p>`,
+            `<p>Reference: <code>${escHtml(transaction.reference)}</code> (${escHtml(transaction.status)})</p>`,
+            transaction.status === 'abandoned'
+                ? `<form method="post" action="${escHtml(action)}">` +
+                  '<button name="outcome" value="success">Pay</button> ' +
+                  '<button name="outcome" value="failed">Decline</button></form>'
+                : '<p>This transaction is closed.</p>',
+            '</body>'
+        ].join('\n'));
+    });
+
+    sandbox.post('/paystack/checkout/:reference', validate({
+        body: { outcome: { type: 'string', required: true, enum: ['success', 'failed'] } }
+    }), (req, res) => {
+        const transaction = sandboxTransactions.get(req.params.reference);
+        if (!transaction) {
+            return res.status(404).send('Unknown sandbox transaction');
+        }
+        if (transaction.status !== 'abandoned') {
+            return res.status(409).send(`Transaction is already ${transaction.status}`);
+        }
+
+        const paid = req.body.outcome === 'success';
+        Object.assign(transaction, {
+            status: paid ? 'success' : 'failed',
+            channel: 'card',
+            gateway_response: paid ? 'Approved' : 'Declined',
+            paid_at: paid ? new Date().toISOString() : null,
+            authorization: { channel: 'card', card_type: 'visa', last4: '4081', country_code: 'NG' }
+        });
+        sendSandboxPaystackWebhook(paid ? 'charge.success' : 'charge.failed', { ...transaction, callback_url: undefined });
+
+        if (!transaction.callback_url) {
+            return res.send(`Sandbox payment ${transaction.status}`);
+        }
+        const callback = new URL(transaction.callback_url);
+        callback.searchParams.set('trxref', transaction.reference);
+        callback.searchParams.set('reference', transaction.reference);
+        return res.redirect(302, callback.toString());
+    });
+
+    // Any Bot API method (sendMessage...) is answered like Telegram would
+    sandbox.post('/telegram/:bot/:method', (req, res) => {
+        if (req.params.bot !== `bot${TELEGRAM_BOT_TOKEN}`) {
+            return res.status(401).json({ ok: false, error_code: 401, description: 'Unauthorized' });
+        }
+        const entry = recordSandboxCall('telegram', req.params.method, { request: req.body });
+        return res.json({
+            ok: true,
+            result: { message_id: entry.id, chat: { id: req.body.chat_id }, date: Math.floor(Date.now() / 1000), text: req.body.text }
+        });
+    });
+
+    app.use('/sandbox', sandbox);
+
+    // GET /api/admin/sandbox/outbox?service=email&limit=20 - newest first
+    app.get('/api/admin/sandbox/outbox', requireAdmin, validate({
+        query: {
+            service: { type: 'string', enum: ['paystack', 'telegram', 'email', 'webhook'] },
+            limit: { type: 'number', min: 1, max: SANDBOX_OUTBOX_LIMIT }
+        }
+    }), (req, res) => {
+        const { service, limit = 100 } = req.query;
+        const calls = sandboxOutbox.filter(entry => !service || entry.service === service).slice(-limit).reverse();
+        res.json({ success: true, count: calls.length, data: calls, transactions: [...sandboxTransactions.values()] });
+    });
+
+    app.delete('/api/admin/sandbox/outbox', requireAdmin, (req, res) => {
+        sandboxOutbox.length = 0;
+        res.json({ success: true, message: 'Sandbox outbox cleared' });
+    });
+}
+
+// Unknown API routes and body parsing errors get the same JSON shape as every other error
+app.use('/api', (req, res) => {
+    res.status(404).json({ success: false, message: 'Not found' });
+});
+
+app.use((error, req, res, next) => {
+    if (res.headersSent) return next(error);
+    const status = error.status || error.statusCode || 500;
+    if (status >= 500) logger.error('Unhandled error', { error });
+    return res.status(status).json({
+        success: false,
+        message: status === 400 && error.type === 'entity.parse.failed' ? 'Malformed JSON body'
+            : status < 500 ? error.message : 'Server error'
+    });
+});
+
+// Start server with email transport checks
 async function startServer() {
-    // Test MailerSend connection before starting
-    await testMailerSendConnection();
+    if (!CORS_ORIGINS.length) {
+        logger.warn('CORS_ORIGINS is empty - browsers on other domains cannot call this API, and buyers return to the Origin that started their checkout');
+    }
+    if (TELEGRAM_BOT_TOKEN && !TELEGRAM_WEBHOOK_SECRET) {
+        logger.warn('TELEGRAM_WEBHOOK_SECRET is not set - Telegram bot commands are disabled');
+    }
+    if (SANDBOX_MODE) {
+        logger.warn('SANDBOX MODE: Paystack, Telegram and email go to local stand-ins - see GET /api/admin/sandbox/outbox');
+    }
+
+    // Replay the order store so idempotency survives restarts
+    loadOrders();
+    loadWebhookEvents();
+    loadJobs();
+    loadCatalog();
+    loadCoupons();
+    loadAffiliates();
+    loadEmailTemplates();
+    loadUnsubscribes();
+    loadWebhookSubscribers();
+
+    // Set up the configured email transports before starting
+    await initEmailTransports();
+
+    // Pick up side effects left pending by a previous run
+    startJobWorker();
+    startReconciliationSchedule();
+    startAbandonedCheckoutReminders();
     
     app.listen(PORT, () => {
-        console.log('==========================================');
-        console.log(`🚀 Server is running on port ${PORT}`);
-        console.log(`🏥 Health check: http://localhost:${PORT}/api/health`);
-        console.log('==========================================\n');
+        logger.info('Server is running', { port: PORT, healthCheck: `http://localhost:${PORT}/api/health` });
+
+        // After listening, since the sandbox provider answers verification calls on this server
+        resumeUnfinishedWebhookEvents();
     });
 }
 
 // Start the server
 startServer().catch(error => {
-    console.error('Failed to start server:', error);
+    logger.error('Failed to start server', { error });
     process.exit(1);
 });